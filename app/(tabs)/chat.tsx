@@ -21,6 +21,7 @@ const mockChats = [
     lastMessage: 'Hey! How was your weekend?',
     timestamp: '2m ago',
     unreadCount: 2,
+    unreadMentionCount: 0,
     avatar: '👨‍💻',
     interests: ['tech', 'music'],
   },
@@ -30,6 +31,7 @@ const mockChats = [
     lastMessage: 'That movie was amazing!',
     timestamp: '1h ago',
     unreadCount: 0,
+    unreadMentionCount: 0,
     avatar: '👩‍🎨',
     interests: ['art', 'movies'],
   },
@@ -39,6 +41,7 @@ const mockChats = [
     lastMessage: 'Great game last night!',
     timestamp: '3h ago',
     unreadCount: 1,
+    unreadMentionCount: 0,
     avatar: '🏈',
     interests: ['sports', 'fitness'],
   },
@@ -92,6 +95,11 @@ export default function ChatScreen() {
           <ThemedText style={styles.lastMessage} numberOfLines={1}>
             {item.lastMessage}
           </ThemedText>
+          {item.unreadMentionCount > 0 && (
+            <View style={[styles.unreadBadge, styles.mentionBadge]}>
+              <Text style={styles.unreadCount}>@</Text>
+            </View>
+          )}
           {item.unreadCount > 0 && (
             <View style={styles.unreadBadge}>
               <Text style={styles.unreadCount}>{item.unreadCount}</Text>
@@ -271,6 +279,10 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  // Shown next to the unread count while the chat has unread @mentions
+  mentionBadge: {
+    marginRight: 4,
+  },
   unreadCount: {
     color: 'white',
     fontSize: 12,
@@ -19,7 +19,7 @@ export default function ProfileScreen() {
   const [notificationsEnabled, setNotificationsEnabled] = useState(true);
   const [locationEnabled, setLocationEnabled] = useState(true);
   const [onlineStatus, setOnlineStatus] = useState(true);
-  const { user, signOut } = useAuth();
+  const { user, signOut, deleteAccount } = useAuth();
   const colorScheme = useColorScheme();
 
   if (!user) {
@@ -37,6 +37,10 @@ export default function ProfileScreen() {
     console.log('Privacy settings');
   };
 
+  const handleStarredMessages = () => {
+    router.push('/starred');
+  };
+
   const handleBlockedUsers = () => {
     // TODO: Navigate to blocked users screen
     console.log('Blocked users');
@@ -73,16 +77,24 @@ export default function ProfileScreen() {
   const handleDeleteAccount = () => {
     Alert.alert(
       'Delete Account',
-      'This action cannot be undone. All your data will be permanently deleted.',
+      'Your account will be scheduled for deletion and you will be signed out on all devices. Sign in again during the grace period to cancel. After that, all your data will be permanently deleted.',
       [
         { text: 'Cancel', style: 'cancel' },
         { 
           text: 'Delete', 
           style: 'destructive',
-          onPress: () => {
-            // TODO: Implement account deletion
-            console.log('Deleting account');
-            router.replace('/auth/login');
+          onPress: async () => {
+            try {
+              const deletionDate = await deleteAccount();
+              router.replace('/auth/login');
+              Alert.alert(
+                'Account Scheduled for Deletion',
+                `Your account will be deleted on ${deletionDate.toLocaleDateString()}.`
+              );
+            } catch (error) {
+              console.error('Delete account error:', error);
+              Alert.alert('Error', 'Failed to delete account. Please try again.');
+            }
           }
         },
       ]
@@ -220,6 +232,12 @@ export default function ProfileScreen() {
             </Text>
           </TouchableOpacity>
 
+          <TouchableOpacity style={styles.actionButton} onPress={handleStarredMessages}>
+            <Text style={[styles.actionButtonText, { color: Colors[colorScheme ?? 'light'].tint }]}>
+              Starred Messages
+            </Text>
+          </TouchableOpacity>
+
           <TouchableOpacity style={styles.actionButton} onPress={handleBlockedUsers}>
             <Text style={[styles.actionButtonText, { color: Colors[colorScheme ?? 'light'].tint }]}>
               Blocked Users
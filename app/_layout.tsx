@@ -1,8 +1,9 @@
 import { DarkTheme, DefaultTheme, ThemeProvider } from '@react-navigation/native';
 import { useFonts } from 'expo-font';
+import * as Linking from 'expo-linking';
 import { Stack, useRouter, useSegments } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
-import { useEffect } from 'react';
+import { useEffect, useRef } from 'react';
 import 'react-native-reanimated';
 
 import { AuthProvider, useAuth } from '@/contexts/AuthContext';
@@ -13,10 +14,27 @@ function RootLayoutNav() {
   const { user, isLoading } = useAuth();
   const segments = useSegments();
   const router = useRouter();
+  const url = Linking.useURL();
+  const pendingInviteCode = useRef<string | null>(null);
+
+  // Remember invite links (textsy://invite/<code>) so they can be opened
+  // once the user has signed in
+  useEffect(() => {
+    if (!url) return;
+
+    const { path } = Linking.parse(url);
+    const match = path?.match(/^invite\/([\w-]+)$/);
+    if (match) {
+      pendingInviteCode.current = match[1];
+    }
+  }, [url]);
 
   useEffect(() => {
     if (isLoading) return;
 
+    // Verification links work whether or not the user is signed in
+    if (segments[0] === 'verify-email') return;
+
     const inAuthGroup = segments[0] === 'auth';
     const inTabsGroup = segments[0] === '(tabs)';
 
@@ -24,8 +42,13 @@ function RootLayoutNav() {
       // Redirect to login if not authenticated
       router.replace('/auth/login');
     } else if (user && inAuthGroup) {
-      // Redirect to main app if authenticated
-      router.replace('/(tabs)');
+      // Redirect to main app if authenticated, or to an invite opened while signed out
+      const inviteCode = pendingInviteCode.current;
+      pendingInviteCode.current = null;
+      router.replace(inviteCode ? `/invite/${inviteCode}` : '/(tabs)');
+    } else if (user) {
+      // Expo Router already opened any invite link directly
+      pendingInviteCode.current = null;
     }
   }, [user, segments, isLoading]);
 
@@ -34,6 +57,11 @@ function RootLayoutNav() {
       <Stack.Screen name="auth" options={{ headerShown: false }} />
       <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
       <Stack.Screen name="chat" options={{ headerShown: false }} />
+      <Stack.Screen name="thread/[id]" options={{ title: 'Thread' }} />
+      <Stack.Screen name="forward" options={{ title: 'Forward to' }} />
+      <Stack.Screen name="starred" options={{ title: 'Starred Messages' }} />
+      <Stack.Screen name="invite/[code]" options={{ title: 'Group Invite' }} />
+      <Stack.Screen name="verify-email" options={{ title: 'Verify Email' }} />
       <Stack.Screen name="+not-found" />
     </Stack>
   );
@@ -19,7 +19,9 @@ import {
 export default function LoginScreen() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const { signIn, googleSignIn, isLoading } = useAuth();
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [isTwoFactorStep, setIsTwoFactorStep] = useState(false);
+  const { signIn, verifyTwoFactorCode, cancelTwoFactor, googleSignIn, isLoading } = useAuth();
   const colorScheme = useColorScheme();
 
   const handleLogin = async () => {
@@ -29,13 +31,40 @@ export default function LoginScreen() {
     }
 
     try {
-      await signIn(email, password);
+      const { twoFactorRequired } = await signIn(email, password);
+      if (twoFactorRequired) {
+        setIsTwoFactorStep(true);
+        return;
+      }
       router.replace('/(tabs)');
     } catch (error) {
       Alert.alert('Error', 'Login failed. Please try again.');
     }
   };
 
+  const handleVerifyCode = async () => {
+    if (!twoFactorCode.trim()) {
+      Alert.alert('Error', 'Please enter your verification code');
+      return;
+    }
+
+    try {
+      await verifyTwoFactorCode(twoFactorCode);
+      setTwoFactorCode('');
+      setIsTwoFactorStep(false);
+      router.replace('/(tabs)');
+    } catch (error) {
+      // The server says whether the code was wrong, expired or rate limited
+      Alert.alert('Error', error instanceof Error ? error.message : 'Invalid verification code. Please try again.');
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    cancelTwoFactor();
+    setTwoFactorCode('');
+    setIsTwoFactorStep(false);
+  };
+
   const handleGoogleSignIn = async () => {
     try {
       await googleSignIn();
@@ -64,73 +93,118 @@ export default function LoginScreen() {
           </ThemedText>
         </View>
 
-        <View style={styles.form}>
-          <TextInput
-            style={[
-              styles.input,
-              { 
-                borderColor: Colors[colorScheme ?? 'light'].icon,
-                color: Colors[colorScheme ?? 'light'].text,
-                backgroundColor: Colors[colorScheme ?? 'light'].background,
-              }
-            ]}
-            placeholder="Email"
-            placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
-            value={email}
-            onChangeText={setEmail}
-            keyboardType="email-address"
-            autoCapitalize="none"
-            autoCorrect={false}
-          />
-
-          <TextInput
-            style={[
-              styles.input,
-              { 
-                borderColor: Colors[colorScheme ?? 'light'].icon,
-                color: Colors[colorScheme ?? 'light'].text,
-                backgroundColor: Colors[colorScheme ?? 'light'].background,
-              }
-            ]}
-            placeholder="Password"
-            placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
-            value={password}
-            onChangeText={setPassword}
-            secureTextEntry
-            autoCapitalize="none"
-          />
-
-          <TouchableOpacity
-            style={[styles.button, styles.primaryButton]}
-            onPress={handleLogin}
-            disabled={isLoading}
-          >
-            <Text style={styles.buttonText}>
-              {isLoading ? 'Signing In...' : 'Sign In'}
-            </Text>
-          </TouchableOpacity>
-
-          <TouchableOpacity
-            style={[styles.button, styles.googleButton]}
-            onPress={handleGoogleSignIn}
-            disabled={isLoading}
-          >
-            <Text style={styles.googleButtonText}>
-              {isLoading ? 'Signing In...' : 'Continue with Google'}
-            </Text>
-          </TouchableOpacity>
-
-          <View style={styles.footer}>
-            <Text style={[styles.footerText, { color: Colors[colorScheme ?? 'light'].icon }]}>
-              Don't have an account?{' '}
-            </Text>
-            <TouchableOpacity onPress={handleSignUp}>
+        {isTwoFactorStep ? (
+          <View style={styles.form}>
+            <ThemedText style={styles.subtitle}>
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </ThemedText>
+
+            <TextInput
+              style={[
+                styles.input,
+                styles.codeInput,
+                { 
+                  borderColor: Colors[colorScheme ?? 'light'].icon,
+                  color: Colors[colorScheme ?? 'light'].text,
+                  backgroundColor: Colors[colorScheme ?? 'light'].background,
+                }
+              ]}
+              placeholder="Verification code"
+              placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
+              value={twoFactorCode}
+              onChangeText={setTwoFactorCode}
+              autoCapitalize="none"
+              autoCorrect={false}
+              autoComplete="one-time-code"
+              textContentType="oneTimeCode"
+              autoFocus
+            />
+
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton]}
+              onPress={handleVerifyCode}
+              disabled={isLoading}
+            >
+              <Text style={styles.buttonText}>
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={handleCancelTwoFactor} style={styles.footer}>
               <Text style={[styles.footerText, styles.linkText]}>
-                Sign Up
+                Back to sign in
               </Text>
             </TouchableOpacity>
           </View>
-        </View>
+        ) : (
+          <View style={styles.form}>
+            <TextInput
+              style={[
+                styles.input,
+                { 
+                  borderColor: Colors[colorScheme ?? 'light'].icon,
+                  color: Colors[colorScheme ?? 'light'].text,
+                  backgroundColor: Colors[colorScheme ?? 'light'].background,
+                }
+              ]}
+              placeholder="Email"
+              placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <TextInput
+              style={[
+                styles.input,
+                { 
+                  borderColor: Colors[colorScheme ?? 'light'].icon,
+                  color: Colors[colorScheme ?? 'light'].text,
+                  backgroundColor: Colors[colorScheme ?? 'light'].background,
+                }
+              ]}
+              placeholder="Password"
+              placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+
+            <TouchableOpacity
+              style={[styles.button, styles.primaryButton]}
+              onPress={handleLogin}
+              disabled={isLoading}
+            >
+              <Text style={styles.buttonText}>
+                {isLoading ? 'Signing In...' : 'Sign In'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.button, styles.googleButton]}
+              onPress={handleGoogleSignIn}
+              disabled={isLoading}
+            >
+              <Text style={styles.googleButtonText}>
+                {isLoading ? 'Signing In...' : 'Continue with Google'}
+              </Text>
+            </TouchableOpacity>
+
+            <View style={styles.footer}>
+              <Text style={[styles.footerText, { color: Colors[colorScheme ?? 'light'].icon }]}>
+                Don't have an account?{' '}
+              </Text>
+              <TouchableOpacity onPress={handleSignUp}>
+                <Text style={[styles.footerText, styles.linkText]}>
+                  Sign Up
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
       </ThemedView>
     </KeyboardAvoidingView>
   );
@@ -170,6 +244,10 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     fontSize: 16,
   },
+  codeInput: {
+    textAlign: 'center',
+    letterSpacing: 4,
+  },
   button: {
     height: 50,
     borderRadius: 8,
@@ -1,9 +1,13 @@
+import { AttachmentPreview } from '@/components/AttachmentPreview';
 import { ThemedText } from '@/components/ThemedText';
 import { ThemedView } from '@/components/ThemedView';
 import { Colors } from '@/constants/Colors';
 import { useAuth } from '@/contexts/AuthContext';
-import { Message, useMessaging } from '@/contexts/MessagingContext';
+import { Message, MessageStatus, useMessaging } from '@/contexts/MessagingContext';
 import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService, ChatParticipant, MessageExpiry, PinnedMessage, ScheduledMessage } from '@/services/ApiService';
+import { webSocketService } from '@/services/WebSocketService';
+import * as Linking from 'expo-linking';
 import { router, useLocalSearchParams } from 'expo-router';
 import React, { useEffect, useRef, useState } from 'react';
 import {
@@ -11,6 +15,7 @@ import {
     FlatList,
     KeyboardAvoidingView,
     Platform,
+    Share,
     StyleSheet,
     Text,
     TextInput,
@@ -18,6 +23,48 @@ import {
     View,
 } from 'react-native';
 
+// Sent: one tick, delivered: two ticks, read: two highlighted ticks
+const STATUS_TICKS: Record<MessageStatus, string> = {
+  sending: '🕓',
+  failed: '⚠️',
+  sent: '✓',
+  delivered: '✓✓',
+  read: '✓✓',
+};
+const READ_TICK_COLOR = '#7fdbff';
+
+// Quick choices offered when scheduling a message
+const getSchedulePresets = (now = new Date()) => {
+  const tonight = new Date(now);
+  tonight.setHours(20, 0, 0, 0);
+  const tomorrowMorning = new Date(now);
+  tomorrowMorning.setDate(now.getDate() + 1);
+  tomorrowMorning.setHours(9, 0, 0, 0);
+
+  return [
+    { label: 'In 1 hour', date: new Date(now.getTime() + 60 * 60 * 1000) },
+    ...(tonight > now ? [{ label: 'Tonight at 8 PM', date: tonight }] : []),
+    { label: 'Tomorrow at 9 AM', date: tomorrowMorning },
+  ];
+};
+
+const MESSAGE_EXPIRY_CHOICES: { label: string; value: MessageExpiry }[] = [
+  { label: 'Off', value: 'off' },
+  { label: '1 hour', value: '1h' },
+  { label: '24 hours', value: '24h' },
+  { label: '7 days', value: '7d' },
+];
+
+// An @mention being typed at the end of the composer text
+const MENTION_QUERY_PATTERN = /(?:^|\s)@([^@\n]{0,30})$/;
+const MAX_MENTION_SUGGESTIONS = 5;
+
+// Offered from a message's long-press menu
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const sortBySendAt = (scheduled: ScheduledMessage[]) =>
+  [...scheduled].sort((a, b) => new Date(a.sendAt).getTime() - new Date(b.sendAt).getTime());
+
 interface ChatUser {
   id: string;
   name: string;
@@ -30,8 +77,14 @@ export default function ChatScreen() {
   const [newMessage, setNewMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
   const [chatUser, setChatUser] = useState<ChatUser | null>(null);
+  const [selectedMessageIds, setSelectedMessageIds] = useState<string[]>([]);
+  const [scheduledMessages, setScheduledMessages] = useState<ScheduledMessage[]>([]);
+  const [editingScheduledId, setEditingScheduledId] = useState<string | null>(null);
+  const [participants, setParticipants] = useState<ChatParticipant[]>([]);
+  const [pins, setPins] = useState<PinnedMessage[]>([]);
+  const [pinIndex, setPinIndex] = useState(0);
   const { user } = useAuth();
-  const { messages, sendMessage, markAsRead, loadChatHistory } = useMessaging();
+  const { messages, sendMessage, markAsRead, loadChatHistory, toggleReaction, setMessageStarred, deleteMessage, clearChat } = useMessaging();
   const colorScheme = useColorScheme();
   const flatListRef = useRef<FlatList>(null);
 
@@ -55,6 +108,56 @@ export default function ChatScreen() {
     }
   }, [id]);
 
+  // Load this chat's pending scheduled messages
+  useEffect(() => {
+    if (!id) return;
+
+    apiService.getScheduledMessages(id)
+      .then(scheduled => setScheduledMessages(sortBySendAt(scheduled)))
+      .catch(error => console.error('Error loading scheduled messages:', error));
+  }, [id]);
+
+  // Load the other participants for @mention suggestions
+  useEffect(() => {
+    if (!id) return;
+
+    apiService.getChatParticipants(id)
+      .then(setParticipants)
+      .catch(error => console.error('Error loading participants:', error));
+  }, [id]);
+
+  // Load the chat's pins, and reload them whenever anyone pins or unpins.
+  // The server decides which pins we may still see.
+  useEffect(() => {
+    if (!id) return;
+
+    const loadPins = () => apiService.getPinnedMessages(id)
+      .then(({ pins: loaded }) => {
+        setPins(loaded);
+        setPinIndex(0);
+      })
+      .catch(error => console.error('Error loading pinned messages:', error));
+
+    loadPins();
+    return webSocketService.onMessage(({ type, data }) => {
+      if (type === 'pin_update' && data.chatId === id) {
+        loadPins();
+      }
+    });
+  }, [id]);
+
+  // Drop scheduled messages once the server sends them (or gives up)
+  useEffect(() => {
+    return webSocketService.onMessage(({ type, data }) => {
+      if (type !== 'scheduled_update' || data.chatId !== id) return;
+
+      setScheduledMessages(prev => prev.filter(scheduled => scheduled.id !== data.id));
+      if (data.status === 'failed') {
+        Alert.alert('Scheduled message not sent', data.error || 'The message could not be delivered.');
+      }
+    });
+  }, [id]);
+
   // Mark messages as read when viewing chat
   useEffect(() => {
     if (id && chatMessages.length > 0) {
@@ -71,6 +174,11 @@ export default function ChatScreen() {
   const handleSendMessage = async () => {
     if (!newMessage.trim() || !user || !id) return;
 
+    if (editingScheduledId) {
+      await handleSaveScheduledEdit();
+      return;
+    }
+
     try {
       await sendMessage(id, newMessage.trim(), id);
       setNewMessage('');
@@ -84,12 +192,308 @@ export default function ChatScreen() {
     }
   };
 
+  const pickScheduleTime = (title: string, onPick: (date: Date) => void) => {
+    Alert.alert(title, 'When should it be sent?', [
+      ...getSchedulePresets().map(preset => ({ text: preset.label, onPress: () => onPick(preset.date) })),
+      { text: 'Cancel', style: 'cancel' as const },
+    ]);
+  };
+
+  // Long-pressing send schedules the message instead
+  const handleScheduleMessage = () => {
+    if (!newMessage.trim() || !id || editingScheduledId) return;
+
+    pickScheduleTime('Schedule message', async (sendAt) => {
+      try {
+        const scheduled = await apiService.scheduleMessage(id, newMessage.trim(), sendAt);
+        setScheduledMessages(prev => sortBySendAt([...prev, scheduled]));
+        setNewMessage('');
+      } catch (error) {
+        Alert.alert('Error', error instanceof Error ? error.message : 'Failed to schedule message.');
+      }
+    });
+  };
+
+  const replaceScheduled = (updated: ScheduledMessage) => {
+    setScheduledMessages(prev => sortBySendAt(prev.map(scheduled => scheduled.id === updated.id ? updated : scheduled)));
+  };
+
+  const handleSaveScheduledEdit = async () => {
+    if (!editingScheduledId) return;
+
+    try {
+      replaceScheduled(await apiService.updateScheduledMessage(editingScheduledId, { content: newMessage.trim() }));
+      setEditingScheduledId(null);
+      setNewMessage('');
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update scheduled message.');
+    }
+  };
+
+  const handleCancelScheduledEdit = () => {
+    setEditingScheduledId(null);
+    setNewMessage('');
+  };
+
+  const handleScheduledPress = (scheduled: ScheduledMessage) => {
+    Alert.alert('Scheduled message', `Sends ${new Date(scheduled.sendAt).toLocaleString()}`, [
+      {
+        text: 'Edit message',
+        onPress: () => {
+          setEditingScheduledId(scheduled.id);
+          setNewMessage(scheduled.content);
+        },
+      },
+      {
+        text: 'Change time',
+        onPress: () => pickScheduleTime('Reschedule message', async (sendAt) => {
+          try {
+            replaceScheduled(await apiService.updateScheduledMessage(scheduled.id, { sendAt }));
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to reschedule message.');
+          }
+        }),
+      },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await apiService.cancelScheduledMessage(scheduled.id);
+            setScheduledMessages(prev => prev.filter(existing => existing.id !== scheduled.id));
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to delete scheduled message.');
+          }
+        },
+      },
+      { text: 'Close', style: 'cancel' },
+    ]);
+  };
+
   const handleBackPress = () => {
     router.back();
   };
 
+  const handleShareInvite = async () => {
+    if (!id) return;
+
+    try {
+      const invite = await apiService.createChatInvite(id, { expiresInHours: 24 * 7 });
+      await Share.share({
+        message: `Join my group on Textsy: ${Linking.createURL(`invite/${invite.code}`)}`,
+      });
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to create invite link.');
+    }
+  };
+
+  // The server posts a notice in the chat when the timer changes
+  const handleMessageExpiryPress = () => {
+    if (!id) return;
+
+    Alert.alert('Disappearing messages', 'New messages will disappear after:', [
+      ...MESSAGE_EXPIRY_CHOICES.map(choice => ({
+        text: choice.label,
+        onPress: async () => {
+          try {
+            await apiService.updateChatSettings(id, { messageExpiry: choice.value });
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update disappearing messages.');
+          }
+        },
+      })),
+      { text: 'Cancel', style: 'cancel' as const },
+    ]);
+  };
+
+  const handleMorePress = () => {
+    Alert.alert('Chat options', undefined, [
+      { text: 'Share invite link', onPress: handleShareInvite },
+      { text: 'Disappearing messages', onPress: handleMessageExpiryPress },
+      { text: 'Clear chat', style: 'destructive', onPress: handleClearChat },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleClearChat = () => {
+    Alert.alert('Clear chat?', 'Messages will be removed for you only. Others in the chat will still see them.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Clear',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await clearChat(id);
+          } catch (error) {
+            Alert.alert('Error', error instanceof Error ? error.message : 'Failed to clear chat.');
+          }
+        },
+      },
+    ]);
+  };
+
+  // Messages still waiting for the server have no thread to open yet
+  const handleOpenThread = (message: Message) => {
+    if (message.status === 'sending' || message.status === 'failed') return;
+    router.push(`/thread/${message.threadRoot ?? message.id}`);
+  };
+
+  const isSelecting = selectedMessageIds.length > 0;
+
+  // Mentions only notify in group chats, so there are no suggestions in direct ones
+  const mentionQuery = MENTION_QUERY_PATTERN.exec(newMessage)?.[1].toLowerCase();
+  const otherParticipants = participants.filter(participant => participant._id !== user?.id);
+  const mentionSuggestions = mentionQuery !== undefined && otherParticipants.length > 1
+    ? otherParticipants
+        .filter(participant => participant.name.toLowerCase().startsWith(mentionQuery))
+        .slice(0, MAX_MENTION_SUGGESTIONS)
+    : [];
+
+  const handleSelectMention = (participant: ChatParticipant) => {
+    setNewMessage(prev => prev.replace(MENTION_QUERY_PATTERN, match =>
+      `${match.startsWith('@') ? '' : match[0]}@${participant.name} `
+    ));
+  };
+
+  const toggleSelected = (message: Message) => {
+    if (message.status === 'sending' || message.status === 'failed') return;
+    setSelectedMessageIds(prev =>
+      prev.includes(message.id) ? prev.filter(messageId => messageId !== message.id) : [...prev, message.id]
+    );
+  };
+
+  const handleMessageLongPress = (message: Message) => {
+    if (isSelecting) {
+      toggleSelected(message);
+      return;
+    }
+
+    // A deleted message can only be removed from our own view
+    if (message.isDeleted) {
+      Alert.alert('Message', undefined, [
+        { text: 'Delete for me', style: 'destructive', onPress: () => handleDeleteMessage(message, 'me') },
+        { text: 'Cancel', style: 'cancel' },
+      ]);
+      return;
+    }
+
+    const isOwnMessage = message.senderId === user?.id;
+    const isPinned = pins.some(pin => pin.message._id === message.id);
+    Alert.alert('Message', undefined, [
+      { text: 'React', onPress: () => handleChooseReaction(message) },
+      { text: message.isStarred ? 'Unstar' : 'Star', onPress: () => handleToggleStar(message) },
+      { text: isPinned ? 'Unpin' : 'Pin', onPress: () => handleTogglePin(message, isPinned) },
+      { text: 'Reply in thread', onPress: () => handleOpenThread(message) },
+      ...(message.isEdited ? [{ text: 'View edit history', onPress: () => handleShowEditHistory(message) }] : []),
+      { text: 'Select to forward', onPress: () => toggleSelected(message) },
+      { text: 'Delete for me', style: 'destructive', onPress: () => handleDeleteMessage(message, 'me') },
+      ...(isOwnMessage
+        ? [{ text: 'Delete for everyone', style: 'destructive' as const, onPress: () => handleDeleteMessage(message, 'everyone') }]
+        : []),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleDeleteMessage = async (message: Message, scope: 'me' | 'everyone') => {
+    try {
+      await deleteMessage(message.chatId, message.id, scope);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to delete message.');
+    }
+  };
+
+  const handleChooseReaction = (message: Message) => {
+    Alert.alert('React', undefined, [
+      ...QUICK_REACTIONS.map(emoji => ({ text: emoji, onPress: () => handleToggleReaction(message, emoji) })),
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleToggleReaction = async (message: Message, emoji: string) => {
+    try {
+      await toggleReaction(message.chatId, message.id, emoji);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update reaction.');
+    }
+  };
+
+  const handleToggleStar = async (message: Message) => {
+    try {
+      await setMessageStarred(message.chatId, message.id, !message.isStarred);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update star.');
+    }
+  };
+
+  // The pin_update event that follows reloads the banner
+  const handleTogglePin = async (message: Message, isPinned: boolean) => {
+    try {
+      if (isPinned) {
+        await apiService.unpinMessage(message.id);
+      } else {
+        await apiService.pinMessage(message.id);
+      }
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to update pin.');
+    }
+  };
+
+  // Jump to the pin shown in the banner, then show the next one, so
+  // repeated taps walk through every pin
+  const handlePinnedBannerPress = () => {
+    const pin = pins[pinIndex];
+    if (!pin) return;
+
+    const index = chatMessages.findIndex(message => message.id === pin.message._id);
+    if (index === -1) {
+      Alert.alert('Pinned message', pin.message.content);
+    } else {
+      flatListRef.current?.scrollToIndex({ index, viewPosition: 0.5 });
+    }
+    setPinIndex(prev => (prev + 1) % pins.length);
+  };
+
+  const handleShowReactionUsers = async (message: Message, emoji: string) => {
+    try {
+      const users = await apiService.getReactionUsers(message.id, emoji);
+      Alert.alert(emoji, users.map(reactor => reactor.id === user?.id ? 'You' : reactor.name).join('\n'));
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to load reactions.');
+    }
+  };
+
+  const handleShowEditHistory = async (message: Message) => {
+    try {
+      const history = await apiService.getMessageHistory(message.id);
+      const versions = history.editHistory
+        .map(version => `${new Date(version.editedAt).toLocaleString()}\n${version.content}`)
+        .join('\n\n');
+      Alert.alert('Edit history', versions || 'No earlier versions.');
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to load edit history.');
+    }
+  };
+
+  const handleForwardSelected = () => {
+    router.push({ pathname: '/forward', params: { messageIds: selectedMessageIds.join(',') } });
+    setSelectedMessageIds([]);
+  };
+
   const renderMessage = ({ item }: { item: Message }) => {
+    // Notices about the chat itself are centred and can't be acted on
+    if (item.messageType === 'system') {
+      return (
+        <View style={styles.systemNotice}>
+          <Text style={[styles.systemNoticeText, { color: Colors[colorScheme ?? 'light'].icon }]}>
+            {item.content}
+          </Text>
+        </View>
+      );
+    }
+
     const isOwnMessage = item.senderId === user?.id;
+    const status: MessageStatus = item.status ?? (item.isRead ? 'read' : 'sent');
+    const isSelected = selectedMessageIds.includes(item.id);
     const messageTime = new Date(item.timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
       minute: '2-digit' 
@@ -98,38 +502,124 @@ export default function ChatScreen() {
     return (
       <View style={[
         styles.messageContainer,
-        isOwnMessage ? styles.ownMessage : styles.otherMessage
+        isOwnMessage ? styles.ownMessage : styles.otherMessage,
+        isSelected && { backgroundColor: Colors[colorScheme ?? 'light'].tint + '20' }
       ]}>
-        <View style={[
-          styles.messageBubble,
-          isOwnMessage 
-            ? [styles.ownBubble, { backgroundColor: Colors[colorScheme ?? 'light'].tint }]
-            : [styles.otherBubble, { backgroundColor: Colors[colorScheme ?? 'light'].icon + '20' }]
-        ]}>
-          <ThemedText style={[
-            styles.messageText,
-            isOwnMessage && { color: 'white' }
-          ]}>
-            {item.text}
-          </ThemedText>
+        <TouchableOpacity
+          activeOpacity={0.8}
+          onPress={isSelecting ? () => toggleSelected(item) : undefined}
+          onLongPress={() => handleMessageLongPress(item)}
+          style={[
+            styles.messageBubble,
+            isOwnMessage 
+              ? [styles.ownBubble, { backgroundColor: Colors[colorScheme ?? 'light'].tint }]
+              : [styles.otherBubble, { backgroundColor: Colors[colorScheme ?? 'light'].icon + '20' }]
+          ]}
+        >
+          {item.forwardedFrom && (
+            <Text style={[
+              styles.forwardedLabel,
+              isOwnMessage ? { color: 'white' } : { color: Colors[colorScheme ?? 'light'].icon }
+            ]}>
+              ↪ Forwarded
+            </Text>
+          )}
+          {item.attachment && !item.isDeleted && (
+            <AttachmentPreview
+              attachmentId={item.attachment}
+              color={isOwnMessage ? 'white' : Colors[colorScheme ?? 'light'].text}
+            />
+          )}
+          {/* Uploads sent without a caption only show the file */}
+          {!(item.attachment && !item.isDeleted && (item.text ?? item.content) === item.metadata?.fileName) && (
+            <ThemedText style={[
+              styles.messageText,
+              item.isDeleted && styles.deletedText,
+              isOwnMessage && { color: 'white' }
+            ]}>
+              {item.isDeleted ? 'This message was deleted' : item.text}
+            </ThemedText>
+          )}
           <View style={styles.messageFooter}>
             <Text style={[
               styles.messageTime,
               isOwnMessage ? { color: 'white' } : { color: Colors[colorScheme ?? 'light'].icon }
             ]}>
-              {messageTime}
+              {item.isStarred ? '★ ' : ''}{item.isEdited ? `edited · ${messageTime}` : messageTime}
             </Text>
             {isOwnMessage && (
-              <Text style={[styles.readStatus, { color: 'white' }]}>
-                {item.isRead ? '✓✓' : '✓'}
+              <Text style={[
+                styles.readStatus,
+                { color: status === 'read' ? READ_TICK_COLOR : 'white' }
+              ]}>
+                {STATUS_TICKS[status]}
               </Text>
             )}
           </View>
-        </View>
+        </TouchableOpacity>
+        {!!item.reactions?.length && (
+          <View style={styles.reactionRow}>
+            {item.reactions.map(reaction => (
+              <TouchableOpacity
+                key={reaction.emoji}
+                onPress={() => handleToggleReaction(item, reaction.emoji)}
+                onLongPress={() => handleShowReactionUsers(item, reaction.emoji)}
+                style={[
+                  styles.reactionChip,
+                  { borderColor: reaction.reactedByMe ? Colors[colorScheme ?? 'light'].tint : Colors[colorScheme ?? 'light'].icon + '40' }
+                ]}
+              >
+                <ThemedText style={styles.reactionText}>
+                  {reaction.emoji} {reaction.count}
+                </ThemedText>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        {!!item.replyCount && (
+          <TouchableOpacity onPress={() => handleOpenThread(item)}>
+            <Text style={[styles.threadLink, { color: Colors[colorScheme ?? 'light'].tint }]}>
+              {item.replyCount === 1 ? '1 reply' : `${item.replyCount} replies`}
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
 
+  // Pending scheduled messages sit below the conversation with a clock badge
+  const renderScheduledMessages = () => (
+    <>
+      {scheduledMessages.map(scheduled => (
+        <View key={scheduled.id} style={[styles.messageContainer, styles.ownMessage]}>
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onPress={() => handleScheduledPress(scheduled)}
+            style={[
+              styles.messageBubble,
+              styles.ownBubble,
+              styles.scheduledBubble,
+              { backgroundColor: Colors[colorScheme ?? 'light'].tint }
+            ]}
+          >
+            <ThemedText style={[styles.messageText, { color: 'white' }]}>
+              {scheduled.content}
+            </ThemedText>
+            <View style={styles.messageFooter}>
+              <Text style={[styles.messageTime, { color: 'white' }]}>
+                🕒 {new Date(scheduled.sendAt).toLocaleString([], {
+                  weekday: 'short',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </>
+  );
+
   if (!chatUser) {
     return (
       <ThemedView style={styles.container}>
@@ -178,13 +668,31 @@ export default function ChatScreen() {
           </View>
         </View>
 
-        <TouchableOpacity style={styles.moreButton}>
+        <TouchableOpacity onPress={handleMorePress} style={styles.moreButton}>
           <Text style={[styles.moreButtonText, { color: Colors[colorScheme ?? 'light'].icon }]}>
             ⋯
           </Text>
         </TouchableOpacity>
       </View>
 
+      {/* The pin the next tap jumps to, newest first */}
+      {pins.length > 0 && (
+        <TouchableOpacity
+          onPress={handlePinnedBannerPress}
+          style={[
+            styles.pinnedBanner,
+            { borderBottomColor: Colors[colorScheme ?? 'light'].icon + '30' }
+          ]}
+        >
+          <Text style={[styles.pinnedLabel, { color: Colors[colorScheme ?? 'light'].tint }]}>
+            📌 Pinned message{pins.length > 1 ? ` ${pinIndex + 1} of ${pins.length}` : ''}
+          </Text>
+          <ThemedText numberOfLines={1}>
+            {pins[pinIndex]?.message.content}
+          </ThemedText>
+        </TouchableOpacity>
+      )}
+
       {/* Messages */}
       <FlatList
         ref={flatListRef}
@@ -193,6 +701,12 @@ export default function ChatScreen() {
         keyExtractor={(item) => item.id}
         style={styles.messagesList}
         contentContainerStyle={styles.messagesContent}
+        ListHeaderComponent={renderScheduledMessages}
+        onScrollToIndexFailed={({ index, averageItemLength }) => {
+          // Rows are measured lazily; get close first, then land on the row
+          flatListRef.current?.scrollToOffset({ offset: index * averageItemLength });
+          setTimeout(() => flatListRef.current?.scrollToIndex({ index, viewPosition: 0.5 }), 100);
+        }}
         inverted
         showsVerticalScrollIndicator={false}
       />
@@ -206,41 +720,88 @@ export default function ChatScreen() {
         </View>
       )}
 
-      {/* Message Input */}
-      <View style={[
-        styles.inputContainer,
-        { borderTopColor: Colors[colorScheme ?? 'light'].icon + '30' }
-      ]}>
-        <TextInput
-          style={[
-            styles.messageInput,
-            {
-              borderColor: Colors[colorScheme ?? 'light'].icon,
-              color: Colors[colorScheme ?? 'light'].text,
-              backgroundColor: Colors[colorScheme ?? 'light'].background,
-            }
-          ]}
-          placeholder="Type a message..."
-          placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
-          value={newMessage}
-          onChangeText={setNewMessage}
-          multiline
-          maxLength={500}
-          onFocus={() => setIsTyping(true)}
-          onBlur={() => setIsTyping(false)}
-        />
-        
-        <TouchableOpacity
-          style={[
-            styles.sendButton,
-            { backgroundColor: newMessage.trim() ? Colors[colorScheme ?? 'light'].tint : Colors[colorScheme ?? 'light'].icon + '30' }
-          ]}
-          onPress={handleSendMessage}
-          disabled={!newMessage.trim()}
-        >
-          <Text style={styles.sendButtonText}>→</Text>
-        </TouchableOpacity>
-      </View>
+      {/* @mention suggestions for the text being typed */}
+      {!isSelecting && mentionSuggestions.length > 0 && (
+        <View style={[
+          styles.mentionSuggestions,
+          { borderTopColor: Colors[colorScheme ?? 'light'].icon + '30' }
+        ]}>
+          {mentionSuggestions.map(participant => (
+            <TouchableOpacity
+              key={participant._id}
+              style={styles.mentionSuggestion}
+              onPress={() => handleSelectMention(participant)}
+            >
+              <Text style={styles.mentionAvatar}>{participant.avatar || '👤'}</Text>
+              <ThemedText>{participant.name}</ThemedText>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {/* Message Input (a selection bar while picking messages) */}
+      {isSelecting ? (
+        <View style={[
+          styles.inputContainer,
+          styles.selectionBar,
+          { borderTopColor: Colors[colorScheme ?? 'light'].icon + '30' }
+        ]}>
+          <TouchableOpacity onPress={() => setSelectedMessageIds([])}>
+            <Text style={[styles.selectionAction, { color: Colors[colorScheme ?? 'light'].icon }]}>
+              Cancel
+            </Text>
+          </TouchableOpacity>
+          <ThemedText>{selectedMessageIds.length} selected</ThemedText>
+          <TouchableOpacity onPress={handleForwardSelected}>
+            <Text style={[styles.selectionAction, { color: Colors[colorScheme ?? 'light'].tint }]}>
+              Forward
+            </Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View style={[
+          styles.inputContainer,
+          { borderTopColor: Colors[colorScheme ?? 'light'].icon + '30' }
+        ]}>
+          {editingScheduledId && (
+            <TouchableOpacity onPress={handleCancelScheduledEdit} style={styles.editingBadge}>
+              <Text style={[styles.editingBadgeText, { color: Colors[colorScheme ?? 'light'].icon }]}>
+                🕒 ✕
+              </Text>
+            </TouchableOpacity>
+          )}
+          <TextInput
+            style={[
+              styles.messageInput,
+              {
+                borderColor: Colors[colorScheme ?? 'light'].icon,
+                color: Colors[colorScheme ?? 'light'].text,
+                backgroundColor: Colors[colorScheme ?? 'light'].background,
+              }
+            ]}
+            placeholder={editingScheduledId ? 'Edit scheduled message...' : 'Type a message...'}
+            placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
+            value={newMessage}
+            onChangeText={setNewMessage}
+            multiline
+            maxLength={500}
+            onFocus={() => setIsTyping(true)}
+            onBlur={() => setIsTyping(false)}
+          />
+          
+          <TouchableOpacity
+            style={[
+              styles.sendButton,
+              { backgroundColor: newMessage.trim() ? Colors[colorScheme ?? 'light'].tint : Colors[colorScheme ?? 'light'].icon + '30' }
+            ]}
+            onPress={handleSendMessage}
+            onLongPress={handleScheduleMessage}
+            disabled={!newMessage.trim()}
+          >
+            <Text style={styles.sendButtonText}>→</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </KeyboardAvoidingView>
   );
 }
@@ -302,6 +863,16 @@ const styles = StyleSheet.create({
     fontSize: 20,
     fontWeight: 'bold',
   },
+  pinnedBanner: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  pinnedLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
   messagesList: {
     flex: 1,
   },
@@ -335,11 +906,60 @@ const styles = StyleSheet.create({
     lineHeight: 20,
     marginBottom: 4,
   },
+  deletedText: {
+    fontStyle: 'italic',
+    opacity: 0.7,
+  },
   messageFooter: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  threadLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 4,
+    marginHorizontal: 4,
+  },
+  reactionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginTop: 4,
+  },
+  reactionChip: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  reactionText: {
+    fontSize: 13,
+  },
+  scheduledBubble: {
+    opacity: 0.6,
+  },
+  editingBadge: {
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  editingBadgeText: {
+    fontSize: 16,
+  },
+  systemNotice: {
+    alignItems: 'center',
+    marginVertical: 8,
+    paddingHorizontal: 24,
+  },
+  systemNoticeText: {
+    fontSize: 12,
+    textAlign: 'center',
+  },
+  forwardedLabel: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 2,
+  },
   messageTime: {
     fontSize: 11,
     opacity: 0.7,
@@ -356,6 +976,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontStyle: 'italic',
   },
+  mentionSuggestions: {
+    borderTopWidth: 1,
+    paddingHorizontal: 16,
+    paddingVertical: 4,
+  },
+  mentionSuggestion: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  mentionAvatar: {
+    fontSize: 20,
+    marginRight: 8,
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'flex-end',
@@ -381,6 +1015,14 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  selectionBar: {
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  selectionAction: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
   sendButtonText: {
     color: 'white',
     fontSize: 18,
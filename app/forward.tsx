@@ -0,0 +1,204 @@
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { Colors } from '@/constants/Colors';
+import { useAuth } from '@/contexts/AuthContext';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService, ChatSummary } from '@/services/ApiService';
+import { router, useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+// Matches the server's per-request limit
+const MAX_TARGETS = 5;
+
+export default function ForwardScreen() {
+  const { messageIds } = useLocalSearchParams<{ messageIds: string }>();
+  const [chats, setChats] = useState<ChatSummary[] | null>(null);
+  const [selectedChatIds, setSelectedChatIds] = useState<string[]>([]);
+  const [isForwarding, setIsForwarding] = useState(false);
+  const { user } = useAuth();
+  const colorScheme = useColorScheme();
+
+  const ids = (messageIds || '').split(',').filter(Boolean);
+
+  useEffect(() => {
+    apiService.getChats()
+      .then(setChats)
+      .catch((err: Error) => {
+        setChats([]);
+        Alert.alert('Error', err.message);
+      });
+  }, []);
+
+  const getChatName = (chat: ChatSummary) => {
+    if (chat.type === 'group') {
+      return chat.metadata?.groupName || 'Group';
+    }
+    const other = chat.participants.find(participant => participant._id !== user?.id);
+    return other?.name ?? 'Chat';
+  };
+
+  const toggleChat = (chatId: string) => {
+    setSelectedChatIds(prev => {
+      if (prev.includes(chatId)) {
+        return prev.filter(id => id !== chatId);
+      }
+      if (prev.length >= MAX_TARGETS) {
+        Alert.alert('Limit reached', `You can forward to up to ${MAX_TARGETS} chats at a time.`);
+        return prev;
+      }
+      return [...prev, chatId];
+    });
+  };
+
+  const handleForward = async () => {
+    if (ids.length === 0 || selectedChatIds.length === 0) return;
+
+    setIsForwarding(true);
+    try {
+      await apiService.forwardMessages(ids, selectedChatIds);
+      if (selectedChatIds.length === 1) {
+        router.replace(`/chat/${selectedChatIds[0]}`);
+      } else {
+        router.back();
+      }
+    } catch (err) {
+      Alert.alert('Error', err instanceof Error ? err.message : 'Failed to forward messages.');
+    } finally {
+      setIsForwarding(false);
+    }
+  };
+
+  const renderChat = ({ item }: { item: ChatSummary }) => {
+    const isSelected = selectedChatIds.includes(item._id);
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.chatItem,
+          { borderBottomColor: Colors[colorScheme ?? 'light'].icon + '30' }
+        ]}
+        onPress={() => toggleChat(item._id)}
+      >
+        <ThemedText style={styles.chatName}>{getChatName(item)}</ThemedText>
+        <View style={[
+          styles.checkbox,
+          { borderColor: Colors[colorScheme ?? 'light'].tint },
+          isSelected && { backgroundColor: Colors[colorScheme ?? 'light'].tint }
+        ]}>
+          {isSelected && <Text style={styles.checkmark}>✓</Text>}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (!chats) {
+    return (
+      <ThemedView style={styles.centered}>
+        <ActivityIndicator />
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <ThemedText style={styles.summary}>
+        {ids.length === 1 ? '1 message' : `${ids.length} messages`} selected
+      </ThemedText>
+
+      <FlatList
+        data={chats}
+        renderItem={renderChat}
+        keyExtractor={(item) => item._id}
+        ListEmptyComponent={<ThemedText style={styles.empty}>No chats to forward to</ThemedText>}
+      />
+
+      <TouchableOpacity
+        style={[
+          styles.button,
+          {
+            backgroundColor: selectedChatIds.length > 0
+              ? Colors[colorScheme ?? 'light'].tint
+              : Colors[colorScheme ?? 'light'].icon + '30'
+          }
+        ]}
+        onPress={handleForward}
+        disabled={selectedChatIds.length === 0 || isForwarding}
+      >
+        {isForwarding ? (
+          <ActivityIndicator color="white" />
+        ) : (
+          <Text style={styles.buttonText}>
+            Forward{selectedChatIds.length > 0 ? ` to ${selectedChatIds.length}` : ''}
+          </Text>
+        )}
+      </TouchableOpacity>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  summary: {
+    fontSize: 14,
+    opacity: 0.7,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  chatItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  chatName: {
+    fontSize: 16,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkmark: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  empty: {
+    textAlign: 'center',
+    opacity: 0.7,
+    marginTop: 32,
+  },
+  button: {
+    height: 50,
+    margin: 16,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
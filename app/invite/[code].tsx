@@ -0,0 +1,143 @@
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { Colors } from '@/constants/Colors';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService, InvitePreview } from '@/services/ApiService';
+import { router, useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+    Alert,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+export default function InviteScreen() {
+  const { code } = useLocalSearchParams<{ code: string }>();
+  const [preview, setPreview] = useState<InvitePreview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isJoining, setIsJoining] = useState(false);
+  const colorScheme = useColorScheme();
+
+  useEffect(() => {
+    if (!code) return;
+
+    apiService.previewInvite(code)
+      .then(setPreview)
+      .catch((err: Error) => setError(err.message));
+  }, [code]);
+
+  const handleJoin = async () => {
+    if (!code || !preview) return;
+
+    if (preview.chat.isMember) {
+      router.replace(`/chat/${preview.chat.id}`);
+      return;
+    }
+
+    setIsJoining(true);
+    try {
+      const { chatId } = await apiService.joinInvite(code);
+      router.replace(`/chat/${chatId}`);
+    } catch (err) {
+      Alert.alert('Error', err instanceof Error ? err.message : 'Failed to join group. Please try again.');
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  if (error) {
+    return (
+      <ThemedView style={styles.container}>
+        <View style={styles.content}>
+          <ThemedText type="subtitle" style={styles.title}>Invite unavailable</ThemedText>
+          <ThemedText style={styles.subtitle}>{error}</ThemedText>
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: Colors[colorScheme ?? 'light'].tint }]}
+            onPress={() => router.replace('/(tabs)')}
+          >
+            <Text style={styles.buttonText}>Go to chats</Text>
+          </TouchableOpacity>
+        </View>
+      </ThemedView>
+    );
+  }
+
+  if (!preview) {
+    return (
+      <ThemedView style={styles.container}>
+        <Text>Loading invite...</Text>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.avatar}>{preview.chat.groupAvatar || '👥'}</Text>
+        <ThemedText type="title" style={styles.title}>
+          {preview.chat.groupName || 'Group chat'}
+        </ThemedText>
+        {preview.chat.groupDescription ? (
+          <ThemedText style={styles.subtitle}>{preview.chat.groupDescription}</ThemedText>
+        ) : null}
+        <ThemedText style={[styles.memberCount, { color: Colors[colorScheme ?? 'light'].icon }]}>
+          {preview.chat.participantCount} {preview.chat.participantCount === 1 ? 'member' : 'members'}
+        </ThemedText>
+
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: Colors[colorScheme ?? 'light'].tint }]}
+          onPress={handleJoin}
+          disabled={isJoining}
+        >
+          <Text style={styles.buttonText}>
+            {isJoining ? 'Joining...' : preview.chat.isMember ? 'Open chat' : 'Join group'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatar: {
+    fontSize: 64,
+    marginBottom: 16,
+  },
+  title: {
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    opacity: 0.8,
+    marginBottom: 8,
+  },
+  memberCount: {
+    fontSize: 14,
+    marginBottom: 32,
+  },
+  button: {
+    height: 50,
+    alignSelf: 'stretch',
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
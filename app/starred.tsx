@@ -0,0 +1,206 @@
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { Colors } from '@/constants/Colors';
+import { useAuth } from '@/contexts/AuthContext';
+import { useMessaging } from '@/contexts/MessagingContext';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService, StarredChatGroup } from '@/services/ApiService';
+import { router } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    SectionList,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+interface StarredMessage {
+  id: string;
+  chatId: string;
+  senderName?: string;
+  content: string;
+  createdAt: Date;
+}
+
+interface StarredSection {
+  chatId: string;
+  title: string;
+  data: StarredMessage[];
+}
+
+const toStarredMessage = (raw: any): StarredMessage => ({
+  id: String(raw._id ?? raw.id),
+  chatId: String(raw.chatId),
+  senderName: raw.sender?.name,
+  content: raw.content,
+  createdAt: new Date(raw.createdAt),
+});
+
+const getChatTitle = (group: StarredChatGroup, userId?: string) => {
+  if (group.chat.type === 'group') {
+    return group.chat.groupName || 'Group';
+  }
+  const other = group.chat.participants.find(participant => participant.id !== userId);
+  return other?.name ?? 'Chat';
+};
+
+// A chat can span pages; its later messages join the section already shown
+const mergeGroups = (prev: StarredSection[], groups: StarredChatGroup[], userId?: string) => {
+  const merged = [...prev];
+  groups.forEach(group => {
+    const messages = group.messages.map(toStarredMessage);
+    const index = merged.findIndex(section => section.chatId === group.chat.id);
+    if (index === -1) {
+      merged.push({ chatId: group.chat.id, title: getChatTitle(group, userId), data: messages });
+    } else {
+      merged[index] = { ...merged[index], data: [...merged[index].data, ...messages] };
+    }
+  });
+  return merged;
+};
+
+export default function StarredScreen() {
+  const [sections, setSections] = useState<StarredSection[] | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const { user } = useAuth();
+  const { setMessageStarred } = useMessaging();
+  const colorScheme = useColorScheme();
+
+  useEffect(() => {
+    apiService.getStarredMessages()
+      .then(page => {
+        setSections(mergeGroups([], page.chats, user?.id));
+        setNextCursor(page.nextCursor);
+      })
+      .catch((err: Error) => {
+        setSections([]);
+        Alert.alert('Error', err.message);
+      });
+  }, [user?.id]);
+
+  const handleLoadMore = async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const page = await apiService.getStarredMessages(nextCursor);
+      setSections(prev => mergeGroups(prev ?? [], page.chats, user?.id));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      Alert.alert('Error', err instanceof Error ? err.message : 'Failed to load starred messages.');
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleUnstar = async (message: StarredMessage) => {
+    try {
+      await setMessageStarred(message.chatId, message.id, false);
+      setSections(prev => (prev ?? [])
+        .map(section => ({ ...section, data: section.data.filter(item => item.id !== message.id) }))
+        .filter(section => section.data.length > 0));
+    } catch (err) {
+      Alert.alert('Error', err instanceof Error ? err.message : 'Failed to unstar message.');
+    }
+  };
+
+  const renderMessage = ({ item }: { item: StarredMessage }) => (
+    <TouchableOpacity
+      style={[
+        styles.messageItem,
+        { borderBottomColor: Colors[colorScheme ?? 'light'].icon + '30' }
+      ]}
+      onPress={() => router.push(`/chat/${item.chatId}`)}
+    >
+      <View style={styles.messageBody}>
+        <Text style={[styles.messageMeta, { color: Colors[colorScheme ?? 'light'].icon }]}>
+          {item.senderName ?? 'Unknown'} · {item.createdAt.toLocaleString()}
+        </Text>
+        <ThemedText numberOfLines={3}>{item.content}</ThemedText>
+      </View>
+      <TouchableOpacity onPress={() => handleUnstar(item)} style={styles.starButton}>
+        <Text style={[styles.starText, { color: Colors[colorScheme ?? 'light'].tint }]}>★</Text>
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  if (!sections) {
+    return (
+      <ThemedView style={styles.centered}>
+        <ActivityIndicator />
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ThemedView style={styles.container}>
+      <SectionList
+        sections={sections}
+        renderItem={renderMessage}
+        renderSectionHeader={({ section }) => (
+          <ThemedView style={styles.sectionHeader}>
+            <ThemedText type="defaultSemiBold">{section.title}</ThemedText>
+          </ThemedView>
+        )}
+        keyExtractor={(item) => item.id}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={isLoadingMore ? <ActivityIndicator style={styles.footer} /> : null}
+        ListEmptyComponent={
+          <ThemedText style={styles.empty}>
+            Star messages in a chat to find them here
+          </ThemedText>
+        }
+      />
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sectionHeader: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  messageItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  messageBody: {
+    flex: 1,
+  },
+  messageMeta: {
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  starButton: {
+    padding: 8,
+    marginLeft: 8,
+  },
+  starText: {
+    fontSize: 20,
+  },
+  footer: {
+    marginVertical: 16,
+  },
+  empty: {
+    textAlign: 'center',
+    opacity: 0.7,
+    marginTop: 32,
+  },
+});
@@ -0,0 +1,295 @@
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { Colors } from '@/constants/Colors';
+import { useAuth } from '@/contexts/AuthContext';
+import { ThreadUpdate, useMessaging } from '@/contexts/MessagingContext';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService } from '@/services/ApiService';
+import { webSocketService } from '@/services/WebSocketService';
+import { useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    FlatList,
+    KeyboardAvoidingView,
+    Platform,
+    StyleSheet,
+    Text,
+    TextInput,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+interface ThreadMessage {
+  id: string;
+  chatId: string;
+  senderId: string;
+  senderName?: string;
+  content: string;
+  createdAt: Date;
+}
+
+// History messages come with a populated sender; socket replies carry its ID
+const toThreadMessage = (raw: any): ThreadMessage => ({
+  id: String(raw._id ?? raw.id),
+  chatId: String(raw.chatId),
+  senderId: String(raw.sender?._id ?? raw.sender),
+  senderName: raw.sender?.name,
+  content: raw.content,
+  createdAt: new Date(raw.createdAt),
+});
+
+export default function ThreadScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const [root, setRoot] = useState<ThreadMessage | null>(null);
+  const [replies, setReplies] = useState<ThreadMessage[]>([]);
+  const [replyCount, setReplyCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [newReply, setNewReply] = useState('');
+  const { user } = useAuth();
+  const { sendMessage } = useMessaging();
+  const colorScheme = useColorScheme();
+
+  useEffect(() => {
+    if (!id) return;
+
+    apiService.getThread(id)
+      .then(page => {
+        setRoot(toThreadMessage(page.root));
+        setReplies(page.replies.map(toThreadMessage));
+        setReplyCount(page.replyCount);
+        setNextCursor(page.nextCursor);
+      })
+      .catch((err: Error) => setError(err.message));
+  }, [id]);
+
+  // Follow replies added or removed while the thread is open
+  useEffect(() => {
+    if (!root) return;
+
+    return webSocketService.onMessage(({ type, data }) => {
+      if (type !== 'thread_update') return;
+
+      const update = data as ThreadUpdate;
+      if (update.rootId !== root.id) return;
+
+      setReplyCount(update.replyCount);
+      if (update.reply) {
+        const reply = toThreadMessage(update.reply);
+        setReplies(prev => prev.some(existing => existing.id === reply.id) ? prev : [...prev, reply]);
+      }
+      if (update.removedReplyIds) {
+        const removed = new Set(update.removedReplyIds.map(String));
+        setReplies(prev => prev.filter(existing => !removed.has(existing.id)));
+      }
+    });
+  }, [root]);
+
+  const handleLoadMore = async () => {
+    if (!id || !nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const page = await apiService.getThread(id, nextCursor);
+      const loaded = page.replies.map(toThreadMessage);
+      setReplies(prev => [
+        ...prev,
+        ...loaded.filter(reply => !prev.some(existing => existing.id === reply.id)),
+      ]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      console.error('Error loading thread replies:', err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleSendReply = async () => {
+    if (!newReply.trim() || !root) return;
+
+    try {
+      await sendMessage(root.chatId, newReply.trim(), root.chatId, { replyTo: root.id });
+      setNewReply('');
+    } catch {
+      Alert.alert('Error', 'Failed to send reply. Please try again.');
+    }
+  };
+
+  const renderMessage = (message: ThreadMessage, isRoot = false) => {
+    const isOwnMessage = message.senderId === user?.id;
+
+    return (
+      <View style={[
+        styles.messageContainer,
+        isRoot && [styles.rootContainer, { borderBottomColor: Colors[colorScheme ?? 'light'].icon + '30' }]
+      ]}>
+        <ThemedText type="defaultSemiBold" style={styles.senderName}>
+          {isOwnMessage ? 'You' : message.senderName ?? 'Member'}
+        </ThemedText>
+        <ThemedText style={styles.messageText}>{message.content}</ThemedText>
+        <Text style={[styles.messageTime, { color: Colors[colorScheme ?? 'light'].icon }]}>
+          {message.createdAt.toLocaleString([], {
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+          })}
+        </Text>
+      </View>
+    );
+  };
+
+  if (error) {
+    return (
+      <ThemedView style={styles.centered}>
+        <ThemedText style={styles.errorText}>{error}</ThemedText>
+      </ThemedView>
+    );
+  }
+
+  if (!root) {
+    return (
+      <ThemedView style={styles.centered}>
+        <ActivityIndicator />
+      </ThemedView>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <FlatList
+        data={replies}
+        renderItem={({ item }) => renderMessage(item)}
+        keyExtractor={(item) => item.id}
+        ListHeaderComponent={
+          <>
+            {renderMessage(root, true)}
+            <Text style={[styles.replyCount, { color: Colors[colorScheme ?? 'light'].icon }]}>
+              {replyCount === 1 ? '1 reply' : `${replyCount} replies`}
+            </Text>
+          </>
+        }
+        ListFooterComponent={isLoadingMore ? <ActivityIndicator style={styles.loadingMore} /> : null}
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        style={styles.repliesList}
+      />
+
+      {/* Reply Input */}
+      <View style={[
+        styles.inputContainer,
+        { borderTopColor: Colors[colorScheme ?? 'light'].icon + '30' }
+      ]}>
+        <TextInput
+          style={[
+            styles.replyInput,
+            {
+              borderColor: Colors[colorScheme ?? 'light'].icon,
+              color: Colors[colorScheme ?? 'light'].text,
+              backgroundColor: Colors[colorScheme ?? 'light'].background,
+            }
+          ]}
+          placeholder="Reply in thread..."
+          placeholderTextColor={Colors[colorScheme ?? 'light'].icon}
+          value={newReply}
+          onChangeText={setNewReply}
+          multiline
+          maxLength={500}
+        />
+
+        <TouchableOpacity
+          style={[
+            styles.sendButton,
+            { backgroundColor: newReply.trim() ? Colors[colorScheme ?? 'light'].tint : Colors[colorScheme ?? 'light'].icon + '30' }
+          ]}
+          onPress={handleSendReply}
+          disabled={!newReply.trim()}
+        >
+          <Text style={styles.sendButtonText}>→</Text>
+        </TouchableOpacity>
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  errorText: {
+    textAlign: 'center',
+    opacity: 0.8,
+  },
+  repliesList: {
+    flex: 1,
+  },
+  messageContainer: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  rootContainer: {
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+  },
+  senderName: {
+    fontSize: 14,
+    marginBottom: 2,
+  },
+  messageText: {
+    fontSize: 16,
+    lineHeight: 20,
+  },
+  messageTime: {
+    fontSize: 11,
+    marginTop: 4,
+  },
+  replyCount: {
+    fontSize: 13,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  loadingMore: {
+    marginVertical: 12,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+  },
+  replyInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    marginRight: 8,
+    maxHeight: 100,
+    fontSize: 16,
+  },
+  sendButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonText: {
+    color: 'white',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,116 @@
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { Colors } from '@/constants/Colors';
+import { useAuth } from '@/contexts/AuthContext';
+import { useColorScheme } from '@/hooks/useColorScheme';
+import { apiService } from '@/services/ApiService';
+import { router, useLocalSearchParams } from 'expo-router';
+import React, { useEffect, useState } from 'react';
+import {
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+type VerificationStatus = 'verifying' | 'verified' | 'failed';
+
+export default function VerifyEmailScreen() {
+  const { token } = useLocalSearchParams<{ token: string }>();
+  const [status, setStatus] = useState<VerificationStatus>('verifying');
+  const [error, setError] = useState<string | null>(null);
+  const { user } = useAuth();
+  const colorScheme = useColorScheme();
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('failed');
+      setError('This verification link is incomplete.');
+      return;
+    }
+
+    apiService.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err: Error) => {
+        setStatus('failed');
+        setError(err.message);
+      });
+  }, [token]);
+
+  const handleContinue = () => {
+    router.replace(user ? '/(tabs)' : '/auth/login');
+  };
+
+  return (
+    <ThemedView style={styles.container}>
+      <View style={styles.content}>
+        <Text style={styles.icon}>
+          {status === 'verifying' ? '✉️' : status === 'verified' ? '✅' : '⚠️'}
+        </Text>
+        <ThemedText type="subtitle" style={styles.title}>
+          {status === 'verifying'
+            ? 'Verifying your email...'
+            : status === 'verified'
+              ? 'Email verified'
+              : 'Verification failed'}
+        </ThemedText>
+        {status === 'verified' && (
+          <ThemedText style={styles.subtitle}>
+            Other people can now find you in Discover.
+          </ThemedText>
+        )}
+        {status === 'failed' && error && (
+          <ThemedText style={styles.subtitle}>{error}</ThemedText>
+        )}
+
+        {status !== 'verifying' && (
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: Colors[colorScheme ?? 'light'].tint }]}
+            onPress={handleContinue}
+          >
+            <Text style={styles.buttonText}>Continue</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    padding: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  icon: {
+    fontSize: 64,
+    marginBottom: 16,
+  },
+  title: {
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    opacity: 0.8,
+    marginBottom: 32,
+  },
+  button: {
+    height: 50,
+    alignSelf: 'stretch',
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
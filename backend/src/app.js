@@ -10,18 +10,33 @@ import { Server } from 'socket.io';
 
 // Import configurations
 import { closeRedisClient, connectMongoDB, createRedisClient } from './config/database.js';
+import { getIdentityProvider } from './services/identity/index.js';
+import { getMailTransport } from './services/mail/index.js';
+import { getStorageDriver } from './services/storage/index.js';
+import User from './models/User.js';
 
 // Import middleware
 
 // Import routes
+import attachmentRoutes from './routes/attachments.js';
 import authRoutes from './routes/auth.js';
 import chatRoutes from './routes/chats.js';
+import exportRoutes from './routes/exports.js';
+import inviteRoutes from './routes/invites.js';
 import messageRoutes from './routes/messages.js';
+import scheduledMessageRoutes from './routes/scheduledMessages.js';
 import userRoutes from './routes/users.js';
 
 // Import socket service
 import { setupSocketHandlers } from './services/socketService.js';
 
+// Import background jobs
+import { startAccountDeletionJob } from './services/accountDeletionService.js';
+import { startAttachmentCleanupJob } from './services/attachmentService.js';
+import { startDataExportJob } from './services/dataExportService.js';
+import { startMessageExpiryJob } from './services/messageExpiryService.js';
+import { startScheduledMessageJob } from './services/scheduledMessageService.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -38,6 +53,9 @@ const io = new Server(server, {
   transports: ['websocket', 'polling']
 });
 
+// Expose Socket.io to route handlers through req.app.get('io')
+app.set('io', io);
+
 // Database connections
 let redisClient = null;
 
@@ -45,6 +63,7 @@ const initializeDatabase = async () => {
   try {
     // Connect to MongoDB
     await connectMongoDB();
+    await User.migrateFirebaseUidIndex();
     
     // Connect to Redis
     redisClient = createRedisClient();
@@ -113,6 +132,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -194,6 +217,18 @@ const startServer = async () => {
     // Initialize database connections
     await initializeDatabase();
     
+    // Initialize the identity provider up front so misconfiguration fails fast
+    const identityProvider = getIdentityProvider();
+    const mailTransport = getMailTransport();
+    const storageDriver = getStorageDriver();
+    
+    // Start background jobs
+    startAccountDeletionJob(io);
+    startAttachmentCleanupJob();
+    startDataExportJob();
+    startScheduledMessageJob(io);
+    startMessageExpiryJob(io);
+    
     // Start HTTP server
     server.listen(PORT, () => {
       console.log('🚀 Textsy Backend Server Started Successfully!');
@@ -202,7 +237,12 @@ const startServer = async () => {
       console.log(`🔌 Socket.io server ready`);
       console.log(`📊 MongoDB: Connected`);
       console.log(`🔴 Redis: ${redisClient ? 'Connected' : 'Not connected'}`);
-      console.log(`🔥 Firebase: ${process.env.FIREBASE_PROJECT_ID ? 'Configured' : 'Not configured'}`);
+      console.log(`🔐 Identity provider: ${identityProvider.name}`);
+      console.log(`📧 Mail transport: ${mailTransport.name}`);
+      console.log(`🗂️ Storage driver: ${storageDriver.name}`);
+      if (identityProvider.name === 'firebase') {
+        console.log(`🔥 Firebase: ${process.env.FIREBASE_PROJECT_ID ? 'Configured' : 'Not configured'}`);
+      }
       console.log('='.repeat(50));
     });
     
@@ -12,8 +12,15 @@ const __dirname = path.dirname(__filename);
 // For development, you can use a service account key file
 // In production, use environment variables
 let serviceAccount;
+let firebaseApp = null;
+
+// Initialize the Firebase Admin SDK on first use. Called by the Firebase
+// identity provider, so nothing is loaded when another provider is configured.
+export const initializeFirebase = () => {
+  if (firebaseApp) {
+    return firebaseApp;
+  }
 
-const initializeFirebase = async () => {
   if (process.env.NODE_ENV === 'production') {
     // Production: Use environment variables
     serviceAccount = {
@@ -67,7 +74,7 @@ const initializeFirebase = async () => {
   }
 
   try {
-    admin.initializeApp({
+    firebaseApp = admin.initializeApp({
       credential: admin.credential.cert(serviceAccount),
       databaseURL: `https://${process.env.FIREBASE_PROJECT_ID || 'textsy-app'}.firebaseio.com`
     });
@@ -79,11 +86,11 @@ const initializeFirebase = async () => {
     if (process.env.NODE_ENV === 'development') {
       console.log('💡 For development, you can continue without Firebase Admin SDK');
       console.log('   Create a serviceAccountKey.json file from Firebase Console');
+      console.log('   or set IDENTITY_PROVIDER=stub to run without Firebase');
     }
   }
-};
 
-// Initialize Firebase
-initializeFirebase();
+  return firebaseApp;
+};
 
 export default admin;
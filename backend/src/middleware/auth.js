@@ -1,6 +1,6 @@
-import jwt from 'jsonwebtoken';
-import admin from '../config/firebase.js';
 import User from '../models/User.js';
+import { getIdentityProvider } from '../services/identity/index.js';
+import { verifyAccessToken } from '../services/tokenService.js';
 
 // Verify JWT token
 export const verifyToken = async (req, res, next) => {
@@ -13,18 +13,24 @@ export const verifyToken = async (req, res, next) => {
       });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = { userId: decoded.uid, firebaseUid: decoded.firebaseUid };
+    const decoded = await verifyAccessToken(token, { ip: req.ip });
+    req.user = { userId: decoded.uid, firebaseUid: decoded.firebaseUid, sessionId: decoded.sid };
     next();
     
   } catch (error) {
+    if (error.code === 'auth/session-revoked') {
+      return res.status(401).json({ 
+        error: 'Session revoked. Please login again.' 
+      });
+    }
+    
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ 
         error: 'Token expired. Please login again.' 
       });
     }
     
-    if (error.name === 'JsonWebTokenError') {
+    if (error.name === 'JsonWebTokenError' || error.code === 'auth/invalid-token') {
       return res.status(401).json({ 
         error: 'Invalid token. Please login again.' 
       });
@@ -37,7 +43,7 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
-// Verify Firebase token (alternative to JWT)
+// Verify identity provider ID token (alternative to JWT)
 export const verifyFirebaseToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
@@ -48,11 +54,11 @@ export const verifyFirebaseToken = async (req, res, next) => {
       });
     }
     
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = { firebaseUid: decodedToken.uid };
+    const identity = await getIdentityProvider().verifyIdToken(token);
+    req.user = { firebaseUid: identity.uid };
     
     // Find user in database
-    const user = await User.findOne({ firebaseUid: decodedToken.uid });
+    const user = await User.findOne({ firebaseUid: identity.uid });
     if (!user) {
       return res.status(404).json({ 
         error: 'User not found. Please complete registration.' 
@@ -90,8 +96,8 @@ export const optionalAuth = async (req, res, next) => {
     
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = { userId: decoded.uid, firebaseUid: decoded.firebaseUid };
+        const decoded = await verifyAccessToken(token, { ip: req.ip });
+        req.user = { userId: decoded.uid, firebaseUid: decoded.firebaseUid, sessionId: decoded.sid };
       } catch (error) {
         // Token is invalid, but we continue without authentication
         console.log('Optional auth: Invalid token, continuing as guest');
@@ -154,6 +160,20 @@ export const checkChatParticipant = async (req, res, next) => {
   }
 };
 
+// Check that the participant's chat role grants a permission
+// (use after checkChatParticipant)
+export const requireChatPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.chat.hasPermission(req.user.userId, permission)) {
+      return res.status(403).json({
+        error: 'Access denied. Your role in this chat does not allow this action.'
+      });
+    }
+
+    next();
+  };
+};
+
 // Rate limiting middleware
 export const rateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
   const requests = new Map();
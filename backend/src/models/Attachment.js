@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only this chat's participants can download the file
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'video', 'audio', 'file'],
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  // Detected from the file's contents, not taken from the client
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageDriver: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Set once a message is sent with the attachment; each upload can be
+  // sent once, and unsent uploads are removed by the sweeper
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+attachmentSchema.index({ uploader: 1 });
+attachmentSchema.index({ message: 1, createdAt: 1 });
+
+// Method to check if the attachment was sent in a message yet
+attachmentSchema.methods.isSent = function() {
+  return Boolean(this.message);
+};
+
+export default mongoose.model('Attachment', attachmentSchema);
@@ -1,5 +1,32 @@
 import mongoose from 'mongoose';
 
+export const CHAT_ROLES = ['owner', 'admin', 'member'];
+
+// Which group roles may perform each action
+export const CHAT_PERMISSIONS = {
+  addMembers: ['owner', 'admin'],
+  removeMembers: ['owner', 'admin'],
+  manageInvites: ['owner', 'admin'],
+  editInfo: ['owner', 'admin'],
+  pinMessages: ['owner', 'admin'],
+  deleteOthersMessages: ['owner', 'admin'],
+  manageRoles: ['owner'],
+  deleteChat: ['owner']
+};
+
+// Direct chats have no roles; both participants may do these
+const DIRECT_CHAT_PERMISSIONS = ['editInfo', 'pinMessages'];
+
+const ROLE_RANK = { owner: 3, admin: 2, member: 1 };
+
+// Disappearing-message timers and how long messages live under each
+export const MESSAGE_EXPIRY_DURATIONS = {
+  off: null,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
 const chatSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +47,35 @@ const chatSchema = new mongoose.Schema({
     of: Number,
     default: new Map()
   },
+  // Unread messages that @mention each user, keyed by user ID
+  unreadMentionCounts: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
+  // When each user last cleared the chat, keyed by user ID. Earlier messages
+  // are hidden from that user only.
+  clearedAt: {
+    type: Map,
+    of: Date,
+    default: new Map()
+  },
+  // When an admin removed each former member, keyed by user ID. They can't
+  // rejoin through an invite link until someone adds them back.
+  removedMembers: {
+    type: Map,
+    of: Date,
+    default: new Map()
+  },
+  // Group roles keyed by user ID; participants without an entry are members
+  roles: {
+    type: Map,
+    of: {
+      type: String,
+      enum: CHAT_ROLES
+    },
+    default: new Map()
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -46,8 +102,15 @@ const chatSchema = new mongoose.Schema({
     typingIndicators: {
       type: Boolean,
       default: true
+    },
+    // Messages sent while a timer is set are deleted once it runs out
+    messageExpiry: {
+      type: String,
+      enum: Object.keys(MESSAGE_EXPIRY_DURATIONS),
+      default: 'off'
     }
   },
+  // The chat's pins, in the order they were pinned; the only record of them
   pinnedMessages: [{
     message: {
       type: mongoose.Schema.Types.ObjectId,
@@ -96,21 +159,106 @@ chatSchema.methods.addParticipant = function(userId) {
   if (this.type === 'group' && !this.participants.includes(userId)) {
     this.participants.push(userId);
     this.unreadCounts.set(userId.toString(), 0);
+    this.removedMembers.delete(userId.toString());
     return this.save();
   }
   return Promise.resolve(this);
 };
 
-// Method to remove participant (for group chats)
-chatSchema.methods.removeParticipant = function(userId) {
+// Method to remove participant (for group chats). If the owner leaves,
+// ownership passes to the longest-standing admin, or else the
+// longest-standing member. Pass `removedByAdmin` when someone else removed
+// them, so they can't rejoin through an invite link.
+chatSchema.methods.removeParticipant = function(userId, { removedByAdmin = false } = {}) {
   if (this.type === 'group') {
+    const wasOwner = this.getRole(userId) === 'owner';
+    
     this.participants = this.participants.filter(id => id.toString() !== userId.toString());
+    if (removedByAdmin) {
+      this.removedMembers.set(userId.toString(), new Date());
+    }
     this.unreadCounts.delete(userId.toString());
+    this.unreadMentionCounts.delete(userId.toString());
+    this.roles.delete(userId.toString());
+    
+    if (wasOwner && this.participants.length > 0) {
+      const successor = this.participants.find(id => this.getRole(id) === 'admin') || this.participants[0];
+      this.roles.set(successor.toString(), 'owner');
+    }
+    
     return this.save();
   }
   return Promise.resolve(this);
 };
 
+// Method to check whether an admin removed the user and nobody has added
+// them back since
+chatSchema.methods.wasRemoved = function(userId) {
+  return Boolean(this.removedMembers?.has(userId.toString()));
+};
+
+// Method to get a participant's role. Groups created before roles existed
+// fall back to the creator as owner.
+chatSchema.methods.getRole = function(userId) {
+  const role = this.roles?.get(userId.toString());
+  if (role) {
+    return role;
+  }
+  
+  const hasOwner = Array.from(this.roles?.values() || []).includes('owner');
+  if (!hasOwner && this.metadata?.createdBy?.toString() === userId.toString()) {
+    return 'owner';
+  }
+  return 'member';
+};
+
+// Method to check whether a participant may perform an action
+chatSchema.methods.hasPermission = function(userId, permission) {
+  if (!this.participants.some(id => id.toString() === userId.toString())) {
+    return false;
+  }
+  
+  if (this.type === 'direct') {
+    return DIRECT_CHAT_PERMISSIONS.includes(permission);
+  }
+  
+  return (CHAT_PERMISSIONS[permission] || []).includes(this.getRole(userId));
+};
+
+// Method to check whether one participant ranks above another
+chatSchema.methods.outranks = function(userId, otherUserId) {
+  return ROLE_RANK[this.getRole(userId)] > ROLE_RANK[this.getRole(otherUserId)];
+};
+
+// Method to set a participant's role (owner changes go through transferOwnership)
+chatSchema.methods.setRole = function(userId, role) {
+  if (role === 'member') {
+    this.roles.delete(userId.toString());
+  } else {
+    this.roles.set(userId.toString(), role);
+  }
+  return this.save();
+};
+
+// Method to hand ownership to another participant; the old owner becomes an admin
+chatSchema.methods.transferOwnership = function(fromUserId, toUserId) {
+  this.roles.set(fromUserId.toString(), 'admin');
+  this.roles.set(toUserId.toString(), 'owner');
+  return this.save();
+};
+
+// Method to get when a message sent now should expire, or null when
+// disappearing messages are off
+chatSchema.methods.getMessageExpiryDate = function(sentAt = new Date()) {
+  const duration = MESSAGE_EXPIRY_DURATIONS[this.settings?.messageExpiry || 'off'];
+  return duration ? new Date(sentAt.getTime() + duration) : null;
+};
+
+// Method to get when a user last cleared the chat, if ever
+chatSchema.methods.getClearedAt = function(userId) {
+  return this.clearedAt?.get(userId.toString());
+};
+
 // Method to update unread count
 chatSchema.methods.updateUnreadCount = function(userId, increment = 1) {
   const currentCount = this.unreadCounts.get(userId.toString()) || 0;
@@ -145,28 +293,11 @@ chatSchema.methods.unarchiveForUser = function(userId) {
   return this.save();
 };
 
-// Method to pin message
-chatSchema.methods.pinMessage = function(messageId, userId) {
-  const existingPin = this.pinnedMessages.find(pin => 
+// Method to check if a message is pinned
+chatSchema.methods.isMessagePinned = function(messageId) {
+  return this.pinnedMessages.some(pin => 
     pin.message.toString() === messageId.toString()
   );
-  
-  if (!existingPin) {
-    this.pinnedMessages.push({
-      message: messageId,
-      pinnedBy: userId
-    });
-    return this.save();
-  }
-  return Promise.resolve(this);
-};
-
-// Method to unpin message
-chatSchema.methods.unpinMessage = function(messageId) {
-  this.pinnedMessages = this.pinnedMessages.filter(pin => 
-    pin.message.toString() !== messageId.toString()
-  );
-  return this.save();
 };
 
 // Static method to find chats by participant
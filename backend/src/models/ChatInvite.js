@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const chatInviteSchema = new mongoose.Schema({
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Optional limits; unset means the invite never expires / has unlimited uses
+  expiresAt: Date,
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+chatInviteSchema.index({ chat: 1, createdAt: -1 });
+
+// Virtual for whether the invite can still be used to join
+chatInviteSchema.virtual('isUsable').get(function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.maxUses && this.uses >= this.maxUses) return false;
+  return true;
+});
+
+// Method to revoke the invite
+chatInviteSchema.methods.revoke = function(userId) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedBy = userId;
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+// Static method to generate a new URL-safe invite code
+chatInviteSchema.statics.generateCode = function() {
+  return crypto.randomBytes(9).toString('base64url');
+};
+
+// Static method to count a use of an invite, atomically enforcing the
+// expiry and use limit. Returns null when the invite is no longer usable.
+chatInviteSchema.statics.claimUse = function(inviteId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+};
+
+export default mongoose.model('ChatInvite', chatInviteSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'zip'],
+    default: 'json'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  filePath: String,
+  fileSize: Number,
+  startedAt: Date,
+  completedAt: Date,
+  // Download links stop working after this; the file is removed by the sweeper
+  expiresAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether the archive can be downloaded
+dataExportSchema.virtual('isDownloadable').get(function() {
+  return this.status === 'ready' && this.expiresAt > new Date();
+});
+
+// Method to mark the export as ready for download
+dataExportSchema.methods.markReady = function(filePath, fileSize, expiresAt) {
+  this.status = 'ready';
+  this.filePath = filePath;
+  this.fileSize = fileSize;
+  this.completedAt = new Date();
+  this.expiresAt = expiresAt;
+  return this.save();
+};
+
+// Method to mark the export as failed
+dataExportSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message || String(error);
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Static method to find a user's most recent export
+dataExportSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+export default mongoose.model('DataExport', dataExportSchema);
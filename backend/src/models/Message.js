@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import {
+  buildCursorFilter,
+  buildSearchCursorFilter,
+  encodeCursor,
+  encodeSearchCursor,
+  getCursorSort
+} from '../services/paginationService.js';
 
 const messageSchema = new mongoose.Schema({
   chatId: {
@@ -20,7 +27,7 @@ const messageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'image', 'file', 'location', 'audio', 'video', 'sticker'],
+    enum: ['text', 'image', 'file', 'location', 'audio', 'video', 'sticker', 'system'],
     default: 'text'
   },
   metadata: {
@@ -37,7 +44,9 @@ const messageSchema = new mongoose.Schema({
     dimensions: {
       width: Number,
       height: Number
-    }
+    },
+    systemEvent: String, // for system notices, e.g. 'message-expiry-changed'
+    messageExpiry: String // the new timer, for message-expiry-changed
   },
   isRead: {
     type: Boolean,
@@ -53,10 +62,37 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Recipients whose device has received the message
+  deliveredTo: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deliveredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Uploaded file for image, video, audio and file messages
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attachment'
+  },
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // First message of the reply chain this message belongs to
+  threadRoot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Kept on thread roots
+  threadReplyCount: {
+    type: Number,
+    default: 0
+  },
+  threadLastReplyAt: Date,
   forwardedFrom: {
     message: {
       type: mongoose.Schema.Types.ObjectId,
@@ -67,6 +103,11 @@ const messageSchema = new mongoose.Schema({
       ref: 'Chat'
     }
   },
+  // Participants named with @mentions in the content
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   reactions: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -101,26 +142,34 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  isPinned: {
-    type: Boolean,
-    default: false
-  },
-  pinnedAt: Date,
-  pinnedBy: {
+  // Users who deleted the message for themselves only
+  hiddenFor: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  }],
+  // ID generated by the sending device, used to deduplicate retried sends
+  clientMessageId: String,
+  // Set when the chat had disappearing messages on; purged after this
+  expiresAt: Date
 }, {
   timestamps: true
 });
 
 // Indexes for efficient querying
-messageSchema.index({ chatId: 1, createdAt: -1 });
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ isRead: 1 });
 messageSchema.index({ messageType: 1 });
 messageSchema.index({ 'reactions.user': 1 });
 messageSchema.index({ replyTo: 1 });
+messageSchema.index({ mentions: 1, chatId: 1 });
+messageSchema.index({ content: 'text' }, { name: 'content_text' });
+messageSchema.index({ threadRoot: 1, createdAt: 1, _id: 1 });
+messageSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
+messageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 // Method to mark as read by user
 messageSchema.methods.markAsRead = function(userId) {
@@ -136,30 +185,66 @@ messageSchema.methods.markAsRead = function(userId) {
   return Promise.resolve(this);
 };
 
-// Method to add reaction
-messageSchema.methods.addReaction = function(userId, emoji) {
-  const existingReaction = this.reactions.find(reaction => 
-    reaction.user.toString() === userId.toString()
+// Method to get the sender-facing status across recipients: 'read' once
+// every recipient has read it, 'delivered' once it reached every recipient,
+// otherwise 'sent'. Read status is withheld when the chat disables receipts.
+messageSchema.methods.getDeliveryStatus = function(recipientIds, { readReceipts = true } = {}) {
+  const reachedAll = (entries) => recipientIds.length > 0 && recipientIds.every(recipientId =>
+    entries.some(entry => (entry.user?._id || entry.user)?.toString() === recipientId.toString())
   );
   
-  if (existingReaction) {
-    existingReaction.emoji = emoji;
-    existingReaction.reactedAt = new Date();
-  } else {
+  if (readReceipts && reachedAll(this.readBy)) {
+    return 'read';
+  }
+  if (reachedAll(this.deliveredTo) || reachedAll(this.readBy)) {
+    return 'delivered';
+  }
+  return 'sent';
+};
+
+// Method to check whether a user reacted with an emoji
+messageSchema.methods.hasReaction = function(userId, emoji) {
+  return this.reactions.some(reaction =>
+    (reaction.user?._id || reaction.user).toString() === userId.toString() && reaction.emoji === emoji
+  );
+};
+
+// Method to add a reaction. Each user may react with several distinct
+// emoji; adding one they already used does nothing.
+messageSchema.methods.addReaction = function(userId, emoji) {
+  if (!this.hasReaction(userId, emoji)) {
     this.reactions.push({ user: userId, emoji });
+    return this.save();
   }
-  
-  return this.save();
+  return Promise.resolve(this);
 };
 
-// Method to remove reaction
-messageSchema.methods.removeReaction = function(userId) {
-  this.reactions = this.reactions.filter(reaction => 
-    reaction.user.toString() !== userId.toString()
+// Method to remove one of a user's reactions, or all of them without an emoji
+messageSchema.methods.removeReaction = function(userId, emoji) {
+  this.reactions = this.reactions.filter(reaction =>
+    (reaction.user?._id || reaction.user).toString() !== userId.toString() ||
+    (emoji !== undefined && reaction.emoji !== emoji)
   );
   return this.save();
 };
 
+// Method to summarise reactions per emoji, in the order each emoji was first
+// used: [{ emoji, count, reactedByMe }]
+messageSchema.methods.getReactionSummary = function(viewerId) {
+  const summaries = new Map();
+  this.reactions.forEach(reaction => {
+    if (!summaries.has(reaction.emoji)) {
+      summaries.set(reaction.emoji, { emoji: reaction.emoji, count: 0, reactedByMe: false });
+    }
+    const summary = summaries.get(reaction.emoji);
+    summary.count += 1;
+    if (viewerId && (reaction.user?._id || reaction.user)?.toString() === viewerId.toString()) {
+      summary.reactedByMe = true;
+    }
+  });
+  return Array.from(summaries.values());
+};
+
 // Method to edit message
 messageSchema.methods.edit = function(newContent, userId) {
   // Store edit history
@@ -174,90 +259,283 @@ messageSchema.methods.edit = function(newContent, userId) {
   return this.save();
 };
 
-// Method to soft delete message
+// Method to soft delete message. The message stays as a tombstone, so
+// everything it said is cleared, earlier versions included.
 messageSchema.methods.softDelete = function(userId) {
   this.isDeleted = true;
   this.deletedAt = new Date();
   this.deletedBy = userId;
   this.content = '[Message deleted]';
+  this.metadata = {};
+  this.attachment = undefined;
+  this.editHistory = [];
+  this.reactions = [];
+  this.mentions = [];
   
   return this.save();
 };
 
-// Method to pin message
-messageSchema.methods.pin = function(userId) {
-  this.isPinned = true;
-  this.pinnedAt = new Date();
-  this.pinnedBy = userId;
-  
-  return this.save();
+// Method to check whether a user can see the message: they haven't
+// deleted it for themselves or cleared the chat since it was sent
+messageSchema.methods.isVisibleTo = function(userId, clearedAt) {
+  const hidden = this.hiddenFor.some(id => id.toString() === userId.toString());
+  return !hidden && (!clearedAt || this.createdAt > clearedAt);
 };
 
-// Method to unpin message
-messageSchema.methods.unpin = function() {
-  this.isPinned = false;
-  this.pinnedAt = undefined;
-  this.pinnedBy = undefined;
-  
-  return this.save();
+// Method to check if a message counts as unread for a user: someone else
+// sent it and the user hasn't read it
+messageSchema.methods.isUnreadBy = function(userId) {
+  return !this.isDeleted
+    && this.sender?.toString() !== userId.toString()
+    && !this.readBy.some(read => read.user?.toString() === userId.toString());
+};
+
+// Method to check if a disappearing message's timer has run out
+messageSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+// Query condition excluding messages that have expired but not been purged yet
+const notExpired = () => ({ expiresAt: { $not: { $lte: new Date() } } });
+
+// Query conditions for what one viewer ({ userId, clearedAt }) can see:
+// nothing they deleted for themselves or sent before they cleared the chat
+const visibleTo = (viewer) => {
+  if (!viewer) {
+    return {};
+  }
+  return {
+    hiddenFor: { $ne: viewer.userId },
+    ...(viewer.clearedAt ? { createdAt: { $gt: viewer.clearedAt } } : {})
+  };
+};
+
+// Static method to find a message if the viewer ({ userId, clearedAt })
+// can still see it: not hidden from them, cleared or expired
+messageSchema.statics.findVisibleById = function(messageId, viewer) {
+  return this.findOne({ _id: messageId, ...notExpired(), ...visibleTo(viewer) });
 };
 
-// Static method to find messages by chat
-messageSchema.statics.findByChat = function(chatId, options = {}) {
+// Populate the fields shown with a message in chat history
+const populateForHistory = (query) => {
+  return query
+    .populate('sender', 'name avatar')
+    .populate('replyTo', 'content sender')
+    .populate('readBy.user', 'name avatar');
+};
+
+// Static method to find one page of a chat's messages, newest first.
+// `options.cursor` is a decoded cursor from a previous page; without one the
+// latest messages are returned. nextCursor reads older messages, prevCursor
+// newer ones; each is null when there is nothing more in that direction.
+// `options.viewer` ({ userId, clearedAt }) limits the page to what that user
+// can see. Messages deleted for everyone stay in place as tombstones.
+messageSchema.statics.findByChat = async function(chatId, options = {}) {
+  const limit = options.limit || 50;
+  const cursor = options.cursor;
+  const direction = cursor?.direction || 'older';
+  
   const query = {
     chatId,
-    isDeleted: false
+    ...notExpired(),
+    ...visibleTo(options.viewer),
+    ...(cursor ? buildCursorFilter(cursor) : {})
   };
   
-  const sort = { createdAt: -1 };
-  const limit = options.limit || 50;
-  const skip = options.skip || 0;
+  // Fetch one extra to know whether another page follows
+  const results = await populateForHistory(this.find(query))
+    .sort(getCursorSort(direction))
+    .limit(limit + 1);
   
-  if (options.before) {
-    query.createdAt = { $lt: options.before };
+  const hasMore = results.length > limit;
+  const messages = results.slice(0, limit);
+  if (direction === 'newer') {
+    messages.reverse();
   }
   
-  if (options.after) {
-    query.createdAt = { $gt: options.after };
-  }
+  const hasOlder = direction === 'older' ? hasMore : true;
+  const hasNewer = direction === 'newer' ? hasMore : Boolean(cursor);
   
-  return this.find(query)
-    .populate('sender', 'name avatar')
-    .populate('replyTo', 'content sender')
-    .populate('readBy.user', 'name avatar')
-    .populate('reactions.user', 'name avatar')
-    .sort(sort)
-    .limit(limit)
-    .skip(skip);
+  return {
+    messages,
+    nextCursor: hasOlder && messages.length > 0 ? encodeCursor(messages[messages.length - 1], 'older') : null,
+    prevCursor: hasNewer && messages.length > 0 ? encodeCursor(messages[0], 'newer') : null
+  };
 };
 
-// Static method to find unread messages for user
-messageSchema.statics.findUnreadForUser = function(chatId, userId) {
-  return this.find({
+// Static method to find a window of messages centred on one message, for
+// jumping to it. Returns null if the message isn't in the chat.
+messageSchema.statics.findAroundMessage = async function(chatId, messageId, options = {}) {
+  const limit = options.limit || 50;
+  
+  const anchor = await populateForHistory(this.findOne({
+    _id: messageId,
     chatId,
-    sender: { $ne: userId },
-    isDeleted: false,
-    'readBy.user': { $ne: userId }
-  }).sort({ createdAt: -1 });
+    ...notExpired(),
+    ...visibleTo(options.viewer)
+  }));
+  if (!anchor) {
+    return null;
+  }
+  
+  const olderLimit = Math.max(1, Math.ceil((limit - 1) / 2));
+  const newerLimit = Math.max(1, Math.floor((limit - 1) / 2));
+  const position = { createdAt: anchor.createdAt, id: anchor._id };
+  
+  const [older, newer] = await Promise.all([
+    this.findByChat(chatId, { limit: olderLimit, cursor: { ...position, direction: 'older' }, viewer: options.viewer }),
+    this.findByChat(chatId, { limit: newerLimit, cursor: { ...position, direction: 'newer' }, viewer: options.viewer })
+  ]);
+  
+  return {
+    messages: [...newer.messages, anchor, ...older.messages],
+    nextCursor: older.nextCursor,
+    prevCursor: newer.prevCursor
+  };
 };
 
-// Static method to search messages
-messageSchema.statics.search = function(chatId, query, options = {}) {
-  const searchQuery = {
-    chatId,
-    content: { $regex: query, $options: 'i' },
-    isDeleted: false
+// Static method to find one page of a thread's replies, oldest first.
+// `options.cursor` is a decoded nextCursor from a previous page and
+// `options.viewer` limits replies to what that user can see.
+messageSchema.statics.findThreadReplies = async function(rootId, options = {}) {
+  const limit = options.limit || 50;
+  const cursor = options.cursor ? { ...options.cursor, direction: 'newer' } : null;
+  
+  const query = {
+    threadRoot: rootId,
+    isDeleted: false,
+    ...notExpired(),
+    ...visibleTo(options.viewer),
+    ...(cursor ? buildCursorFilter(cursor) : {})
   };
   
-  const sort = { createdAt: -1 };
+  const results = await populateForHistory(this.find(query))
+    .sort(getCursorSort('newer'))
+    .limit(limit + 1);
+  
+  const replies = results.slice(0, limit);
+  
+  return {
+    replies,
+    nextCursor: results.length > limit ? encodeCursor(replies[replies.length - 1], 'newer') : null
+  };
+};
+
+// Static method to recount a thread's replies and store the summary on its root
+messageSchema.statics.refreshThreadSummary = async function(rootId) {
+  const [count, lastReply] = await Promise.all([
+    this.countDocuments({ threadRoot: rootId, isDeleted: false }),
+    this.findOne({ threadRoot: rootId, isDeleted: false }).sort({ createdAt: -1 }).select('createdAt')
+  ]);
+  
+  const update = lastReply
+    ? { $set: { threadReplyCount: count, threadLastReplyAt: lastReply.createdAt } }
+    : { $set: { threadReplyCount: 0 }, $unset: { threadLastReplyAt: '' } };
+  
+  return this.findByIdAndUpdate(rootId, update, { new: true });
+};
+
+// Query conditions for messages a user hasn't read, among those they can see
+const unreadBy = (chatId, viewer) => ({
+  chatId,
+  sender: { $ne: viewer.userId },
+  isDeleted: false,
+  'readBy.user': { $ne: viewer.userId },
+  ...notExpired(),
+  ...visibleTo(viewer)
+});
+
+// Static method to find unread messages for user
+messageSchema.statics.findUnreadForUser = function(chatId, userId, clearedAt) {
+  return this.find(unreadBy(chatId, { userId, clearedAt })).sort({ createdAt: -1 });
+};
+
+// Static method to count a user's unread messages and unread @mentions
+messageSchema.statics.countUnreadForUser = async function(chatId, userId, clearedAt) {
+  const query = unreadBy(chatId, { userId, clearedAt });
+  const [unread, mentions] = await Promise.all([
+    this.countDocuments(query),
+    this.countDocuments({ ...query, mentions: userId })
+  ]);
+  return { unread, mentions };
+};
+
+// Static method to search message text across chats with the text index.
+// Results come best match first, or newest first with `options.sort` set to
+// 'recent'. `options.chatIds` limits the chats searched and
+// `options.cursor` is a decoded search cursor from a previous page.
+// `options.viewerId` hides what that user deleted for themselves, and
+// `options.clearedAtByChat` (chat ID to date) what they cleared.
+// Resolves to { results: [{ message, score }], nextCursor }.
+messageSchema.statics.search = async function(query, options = {}) {
   const limit = options.limit || 20;
-  const skip = options.skip || 0;
+  const byRelevance = options.sort !== 'recent';
   
-  return this.find(searchQuery)
-    .populate('sender', 'name avatar')
-    .sort(sort)
-    .limit(limit)
-    .skip(skip);
+  const match = {
+    $text: { $search: query },
+    chatId: { $in: options.chatIds || [] },
+    isDeleted: false,
+    // Notices about the chat itself only turn up when asked for
+    messageType: options.messageType || { $ne: 'system' },
+    ...notExpired()
+  };
+  if (options.senderId) {
+    match.sender = new mongoose.Types.ObjectId(options.senderId.toString());
+  }
+  if (options.from || options.to) {
+    match.createdAt = {
+      ...(options.from ? { $gte: options.from } : {}),
+      ...(options.to ? { $lte: options.to } : {})
+    };
+  }
+  
+  const sort = byRelevance
+    ? { score: -1, createdAt: -1, _id: -1 }
+    : getCursorSort('older');
+  
+  // Per-chat conditions can't go in the text match, so they follow it
+  const visibility = {};
+  if (options.viewerId) {
+    const viewerId = new mongoose.Types.ObjectId(options.viewerId.toString());
+    const cleared = [...(options.clearedAtByChat || new Map())];
+    visibility.hiddenFor = { $ne: viewerId };
+    if (cleared.length > 0) {
+      visibility.$or = [
+        { chatId: { $nin: cleared.map(([chatId]) => new mongoose.Types.ObjectId(chatId)) } },
+        ...cleared.map(([chatId, clearedAt]) => ({
+          chatId: new mongoose.Types.ObjectId(chatId),
+          createdAt: { $gt: clearedAt }
+        }))
+      ];
+    }
+  }
+  
+  // Fetch one extra to know whether another page follows
+  const found = await this.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    ...(options.viewerId ? [{ $match: visibility }] : []),
+    ...(options.cursor ? [{ $match: buildSearchCursorFilter(options.cursor) }] : []),
+    { $sort: sort },
+    { $limit: limit + 1 }
+  ]);
+  
+  const page = found.slice(0, limit);
+  const messages = page.map(doc => this.hydrate(doc));
+  await this.populate(messages, [
+    { path: 'sender', select: 'name avatar' },
+    { path: 'replyTo', select: 'content sender' }
+  ]);
+  
+  const results = messages.map((message, index) => ({ message, score: page[index].score }));
+  const last = results[results.length - 1];
+  
+  return {
+    results,
+    nextCursor: found.length > limit
+      ? encodeSearchCursor(last.message, byRelevance ? last.score : null)
+      : null
+  };
 };
 
 // Virtual for reaction count
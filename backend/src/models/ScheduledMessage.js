@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+const scheduledMessageSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 1000,
+    trim: true
+  },
+  messageType: {
+    type: String,
+    enum: ['text', 'image', 'file', 'location', 'audio', 'video', 'sticker'],
+    default: 'text'
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Set while the scheduler is sending, so a crashed attempt can be retried
+  lockedAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  sentAt: Date,
+  sentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+scheduledMessageSchema.index({ status: 1, sendAt: 1 });
+scheduledMessageSchema.index({ sender: 1, status: 1, sendAt: 1 });
+
+// Virtual for the client message ID used when sending. It is fixed per
+// scheduled message, so a send retried after a crash is deduplicated.
+scheduledMessageSchema.virtual('clientMessageId').get(function() {
+  return `scheduled-${this._id}`;
+});
+
+// Static method to find a user's pending messages, soonest first
+scheduledMessageSchema.statics.findPendingForUser = function(userId, chatId) {
+  const query = { sender: userId, status: 'pending' };
+  if (chatId) {
+    query.chatId = chatId;
+  }
+  return this.find(query).sort({ sendAt: 1 });
+};
+
+// Static method to claim the next due message for sending. Returns null
+// when nothing is due; a message is only ever claimed by one worker.
+scheduledMessageSchema.statics.claimNextDue = function() {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'pending', sendAt: { $lte: now } },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { sendAt: 1 } }
+  );
+};
+
+export default mongoose.model('ScheduledMessage', scheduledMessageSchema);
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hash of the refresh token currently allowed to rotate this session.
+  // Every token issued for the session belongs to the same family, so
+  // presenting an older one means it was replayed.
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastRotatedAt: Date,
+  device: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: 'Unknown device'
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web', 'unknown'],
+      default: 'unknown'
+    },
+    userAgent: String
+  },
+  lastIp: String,
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse-detected', 'revoked']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1, lastActiveAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to record activity, throttled so every request doesn't write
+sessionSchema.methods.touch = function(ip) {
+  const oneMinuteAgo = new Date(Date.now() - 60 * 1000);
+  
+  if (this.lastActiveAt < oneMinuteAgo || (ip && ip !== this.lastIp)) {
+    this.lastActiveAt = new Date();
+    if (ip) this.lastIp = ip;
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+// Method to revoke the session (and with it the whole token family)
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+  }
+  return Promise.resolve(this);
+};
+
+// Static method to find an active session by ID
+sessionSchema.statics.findActiveById = function(sessionId) {
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to find a user's active sessions
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastActiveAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', options = {}) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  
+  if (options.exceptSessionId) {
+    query._id = { $ne: options.exceptSessionId };
+  }
+  
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+export default mongoose.model('Session', sessionSchema);
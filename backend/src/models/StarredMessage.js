@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// A message one user has starred. Stars are private to that user.
+const starredMessageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // Copied from the message so stars can be listed and cleared per chat
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+starredMessageSchema.index({ user: 1, message: 1 }, { unique: true });
+starredMessageSchema.index({ user: 1, createdAt: -1, _id: -1 });
+starredMessageSchema.index({ user: 1, chatId: 1 });
+starredMessageSchema.index({ message: 1 });
+
+export default mongoose.model('StarredMessage', starredMessageSchema);
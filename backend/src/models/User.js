@@ -1,10 +1,58 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { decryptSecret, hashRecoveryCode, verifyCode } from '../services/totpService.js';
+
+const PASSWORD_SALT_ROUNDS = 12;
 
 const userSchema = new mongoose.Schema({
+  // Only set for accounts created through Firebase
   firebaseUid: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  authProvider: {
+    type: String,
+    enum: ['firebase', 'local'],
+    default: 'firebase'
+  },
+  passwordHash: {
+    type: String,
+    select: false
+  },
+  passwordChangedAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpiresAt: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    // TOTP secrets are stored encrypted; see services/totpService.js
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodeHashes: {
+      type: [String],
+      select: false
+    }
   },
   name: {
     type: String,
@@ -115,12 +163,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verifiedAt: Date,
+  // When the last verification email went out, for resend throttling
+  emailVerificationSentAt: Date,
   isBanned: {
     type: Boolean,
     default: false
   },
   banReason: String,
-  banExpiresAt: Date
+  banExpiresAt: Date,
+  // Account deletion: requested accounts are erased once the grace period ends
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date
 }, {
   timestamps: true
 });
@@ -128,10 +187,10 @@ const userSchema = new mongoose.Schema({
 // Indexes for efficient querying
 userSchema.index({ location: '2dsphere' });
 userSchema.index({ interests: 1 });
-userSchema.index({ firebaseUid: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ isOnline: 1, lastSeen: -1 });
 userSchema.index({ isBanned: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // Virtual for age calculation (if you store birthDate)
 userSchema.virtual('age').get(function() {
@@ -139,6 +198,111 @@ userSchema.virtual('age').get(function() {
   return null;
 });
 
+// Method to hash and store a new password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+  return this;
+};
+
+// Method to check a password (passwordHash must be selected)
+userSchema.methods.comparePassword = function(password) {
+  if (!this.passwordHash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Method to create a one-time password reset token (valid for 1 hour).
+// Only the hash is stored; the raw token is returned to be sent to the user.
+userSchema.methods.createPasswordResetToken = async function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpiresAt = new Date(Date.now() + 60 * 60 * 1000);
+  await this.save();
+  
+  return resetToken;
+};
+
+// Method to check a TOTP or recovery code (the twoFactor secret fields must
+// be selected). A recovery code is consumed and a TOTP code's time step is
+// recorded, so neither can be used twice.
+userSchema.methods.verifySecondFactor = async function({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) {
+    return false;
+  }
+  
+  if (recoveryCode) {
+    const index = this.twoFactor.recoveryCodeHashes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) {
+      return false;
+    }
+    this.twoFactor.recoveryCodeHashes.splice(index, 1);
+    await this.save();
+    return true;
+  }
+  
+  const lastUsedStep = this.twoFactor.lastUsedStep ?? -1;
+  const step = verifyCode(decryptSecret(this.twoFactor.secret), code, lastUsedStep);
+  if (step === null) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  await this.save();
+  return true;
+};
+
+// Method to schedule account deletion after a grace period
+userSchema.methods.requestDeletion = function(graceDays) {
+  this.deletionRequestedAt = new Date();
+  this.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  this.isOnline = false;
+  this.lastSeen = new Date();
+  return this.save();
+};
+
+// Method to cancel a pending deletion (caller saves)
+userSchema.methods.cancelDeletion = function() {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  return this;
+};
+
+// Method to mark the email address as verified (caller saves)
+userSchema.methods.markEmailVerified = function() {
+  if (!this.isVerified) {
+    this.isVerified = true;
+    this.verifiedAt = new Date();
+  }
+  return this;
+};
+
+// Method to strip personal data while keeping the document so existing
+// message and chat references still resolve
+userSchema.methods.anonymize = function() {
+  this.firebaseUid = undefined;
+  this.passwordHash = undefined;
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+  this.twoFactor = { enabled: false };
+  this.name = 'Deleted User';
+  this.email = `deleted-${this._id}@deleted.textsy.invalid`;
+  this.bio = '';
+  this.interests = [];
+  this.avatar = '👤';
+  this.location = undefined;
+  this.blockedUsers = [];
+  this.reportedBy = [];
+  this.isOnline = false;
+  this.deletionScheduledFor = undefined;
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
 // Method to update online status
 userSchema.methods.updateOnlineStatus = function(isOnline) {
   this.isOnline = isOnline;
@@ -176,11 +340,36 @@ userSchema.methods.unblockUser = function(userId) {
   return this.save();
 };
 
+// Static method to rebuild the firebaseUid index as sparse. Databases from
+// before local accounts still have a plain unique index, which lets only one
+// account go without a Firebase UID.
+userSchema.statics.migrateFirebaseUidIndex = async function() {
+  const indexes = await this.collection.indexes().catch(() => []);
+  const index = indexes.find(({ name }) => name === 'firebaseUid_1');
+  
+  if (index && !index.sparse) {
+    await this.collection.dropIndex('firebaseUid_1');
+    await this.createIndexes();
+    console.log('✅ Rebuilt firebaseUid index as sparse');
+  }
+};
+
+// Static method to find a user by a valid password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  return this.findOne({
+    passwordResetTokenHash: crypto.createHash('sha256').update(resetToken).digest('hex'),
+    passwordResetExpiresAt: { $gt: new Date() }
+  });
+};
+
 // Static method to find users by interests
 userSchema.statics.findByInterests = function(interests, limit = 20) {
   return this.find({
     interests: { $in: interests },
-    isBanned: false
+    isBanned: false,
+    isVerified: true,
+    isDeleted: { $ne: true },
+    deletionScheduledFor: null
   })
   .select('name avatar interests location bio isOnline lastSeen')
   .limit(limit);
@@ -198,7 +387,10 @@ userSchema.statics.findNearby = function(coordinates, maxDistance = 50) {
         $maxDistance: maxDistance * 1000 // Convert km to meters
       }
     },
-    isBanned: false
+    isBanned: false,
+    isVerified: true,
+    isDeleted: { $ne: true },
+    deletionScheduledFor: null
   })
   .select('name avatar interests location bio isOnline lastSeen')
   .limit(20);
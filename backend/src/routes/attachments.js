@@ -0,0 +1,162 @@
+import express from 'express';
+import multer from 'multer';
+import { rateLimit, verifyToken } from '../middleware/auth.js';
+import {
+  createAttachment,
+  createAttachmentUrl,
+  findAccessibleAttachment,
+  getAttachmentSizeLimits,
+  openAttachmentStream,
+  verifyAttachmentToken
+} from '../services/attachmentService.js';
+
+const router = express.Router();
+
+// Files are held in memory so their type can be checked before anything
+// is stored; per-kind size limits are applied once the type is known.
+// Limits come from the environment, so they're read per request.
+const receiveFile = (req, res) => new Promise((resolve, reject) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: Math.max(...Object.values(getAttachmentSizeLimits())),
+      files: 1,
+      fields: 5
+    }
+  }).single('file');
+
+  upload(req, res, error => (error ? reject(error) : resolve()));
+});
+
+// Shape an attachment for API responses, with a fresh download link
+const formatAttachment = (req, attachment, userId) => {
+  const { path, expiresAt } = createAttachmentUrl(attachment, userId);
+  return {
+    id: attachment._id,
+    chatId: attachment.chatId,
+    kind: attachment.kind,
+    fileName: attachment.fileName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    url: `${req.protocol}://${req.get('host')}${path}`,
+    urlExpiresAt: expiresAt,
+    createdAt: attachment.createdAt
+  };
+};
+
+// Upload a file to send in a chat. Send it with POST /api/messages using
+// the returned ID as `attachmentId`.
+router.post('/', verifyToken, rateLimit(15 * 60 * 1000, 50), async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    try {
+      await receiveFile(req, res);
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return res.status(status).json({ error: error.message, code: `attachment/${error.code.toLowerCase()}` });
+      }
+      throw error;
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required', code: 'attachment/file-required' });
+    }
+
+    const { chatId, kind } = req.body;
+    const attachment = await createAttachment({
+      chatId,
+      uploaderId: userId,
+      buffer: req.file.buffer,
+      // Multer decodes multipart file names as latin1
+      fileName: Buffer.from(req.file.originalname, 'latin1').toString('utf8'),
+      kind: kind || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      attachment: formatAttachment(req, attachment, userId)
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('attachment/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+// Get an attachment's details with a fresh download link
+router.get('/:attachmentId', verifyToken, async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const { userId } = req.user;
+
+    const attachment = await findAccessibleAttachment(attachmentId, userId);
+
+    res.json({
+      success: true,
+      attachment: formatAttachment(req, attachment, userId)
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('attachment/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Get attachment error:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Download an attachment. Authorized by the signed link token rather than
+// a bearer token, so the link can be used directly as an image source.
+// Access is checked again, so a link stops working once its user leaves
+// the chat or the message is deleted.
+router.get('/:attachmentId/download', async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const { token } = req.query;
+
+    const userId = token ? verifyAttachmentToken(token, attachmentId) : null;
+    if (!userId) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const attachment = await findAccessibleAttachment(attachmentId, userId);
+    const disposition = attachment.kind === 'file' ? 'attachment' : 'inline';
+    const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, '_');
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, max-age=300'
+    });
+
+    const stream = openAttachmentStream(attachment);
+    stream.on('error', error => {
+      console.error('Stream attachment error:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.removeHeader('Content-Disposition');
+        res.status(410).json({ error: 'Attachment is no longer available' });
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    if (error.code?.startsWith('attachment/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+export default router;
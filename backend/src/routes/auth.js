@@ -1,11 +1,117 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import admin from '../config/firebase.js';
-import { verifyFirebaseToken } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { rateLimit, verifyFirebaseToken, verifyToken } from '../middleware/auth.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { sendVerificationEmail, verifyEmailToken } from '../services/emailVerificationService.js';
+import { getIdentityProvider } from '../services/identity/index.js';
+import { sendMail } from '../services/mail/index.js';
+import { disconnectSession } from '../services/socketService.js';
+import {
+  issueTokens,
+  issueTwoFactorChallenge,
+  revokeSession,
+  rotateRefreshToken,
+  verifyTwoFactorChallenge
+} from '../services/tokenService.js';
+import {
+  buildOtpauthUri,
+  decryptSecret,
+  encryptSecret,
+  generateRecoveryCodes,
+  generateSecret,
+  hashRecoveryCode,
+  verifyCode
+} from '../services/totpService.js';
 
 const router = express.Router();
 
+const PASSWORD_MIN_LENGTH = 8;
+const getPasswordResetLinkBase = () => process.env.PASSWORD_RESET_LINK_BASE || 'textsy://reset-password';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Throttle password guessing on top of the global API limiter
+const passwordRateLimit = rateLimit(15 * 60 * 1000, 10);
+const twoFactorRateLimit = rateLimit(15 * 60 * 1000, 10);
+const emailVerificationRateLimit = rateLimit(15 * 60 * 1000, 10);
+const stubTokenRateLimit = rateLimit(15 * 60 * 1000, 20);
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodeHashes';
+
+const SESSION_PLATFORMS = ['ios', 'android', 'web'];
+
+// Describe the device making the request for session tracking
+const getDeviceContext = (req) => {
+  const { deviceName, platform } = req.body || {};
+  const normalizedPlatform = typeof platform === 'string' ? platform.toLowerCase() : '';
+  
+  return {
+    deviceName: typeof deviceName === 'string' && deviceName.trim()
+      ? deviceName.trim().slice(0, 100)
+      : undefined,
+    platform: SESSION_PLATFORMS.includes(normalizedPlatform) ? normalizedPlatform : 'unknown',
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  };
+};
+
+// Shape the signed-in user for auth responses
+const formatAuthUser = (user) => ({
+  id: user._id,
+  firebaseUid: user.firebaseUid,
+  name: user.name,
+  email: user.email,
+  bio: user.bio,
+  interests: user.interests,
+  avatar: user.avatar,
+  isOnline: user.isOnline,
+  isVerified: user.isVerified,
+  preferences: user.preferences
+});
+
+// Start a session for a fully signed-in user and issue its tokens. Signing
+// in during the deletion grace period keeps the account, so this only
+// happens once every factor has been checked.
+const startSession = async (req, user) => {
+  if (user.deletionScheduledFor) {
+    user.cancelDeletion();
+    await user.save();
+  }
+  
+  return issueTokens(user, getDeviceContext(req));
+};
+
+// Finish a successful first-factor sign-in: issue tokens, or a two-factor
+// challenge when the account has two-factor authentication enabled
+const completeSignIn = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: issueTwoFactorChallenge(user)
+    });
+  }
+  
+  const tokens = await startSession(req, user);
+  
+  res.json({
+    success: true,
+    ...tokens,
+    user: formatAuthUser(user)
+  });
+};
+
+// Shape a session for API responses
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceName: session.device?.name,
+  platform: session.device?.platform,
+  lastIp: session.lastIp,
+  lastActiveAt: session.lastActiveAt,
+  createdAt: session.createdAt,
+  isCurrent: session._id.toString() === currentSessionId?.toString()
+});
+
 // Verify Firebase token and create/update user
 router.post('/verify', async (req, res) => {
   try {
@@ -15,9 +121,8 @@ router.post('/verify', async (req, res) => {
       return res.status(400).json({ error: 'Firebase ID token is required' });
     }
 
-    // Verify Firebase token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const { uid, email, name } = decodedToken;
+    // Verify ID token with the configured identity provider
+    const { uid, email, name, emailVerified } = await getIdentityProvider().verifyIdToken(idToken);
 
     // Find or create user
     let user = await User.findOne({ firebaseUid: uid });
@@ -39,36 +144,23 @@ router.post('/verify', async (req, res) => {
           showLastSeen: true
         }
       });
+      // The identity provider has already confirmed the address
+      if (emailVerified) {
+        user.markEmailVerified();
+      }
       await user.save();
     } else {
       // Update existing user's online status
       user.isOnline = true;
       user.lastSeen = new Date();
+      if (emailVerified) {
+        user.markEmailVerified();
+      }
       await user.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { uid: user._id, firebaseUid: uid },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        firebaseUid: user.firebaseUid,
-        name: user.name,
-        email: user.email,
-        bio: user.bio,
-        interests: user.interests,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-        preferences: user.preferences
-      }
-    });
+    // Start a new session, or ask for the second factor first
+    await completeSignIn(req, res, user);
 
   } catch (error) {
     console.error('Auth verification error:', error);
@@ -85,37 +177,28 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-// Refresh JWT token
-router.post('/refresh', verifyFirebaseToken, async (req, res) => {
+// Rotate refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
     }
 
-    const token = jwt.sign(
-      { uid: user._id, firebaseUid: user.firebaseUid },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { user, ...tokens } = await rotateRefreshToken(refreshToken, { ip: req.ip });
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        firebaseUid: user.firebaseUid,
-        name: user.name,
-        email: user.email,
-        bio: user.bio,
-        interests: user.interests,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-        preferences: user.preferences
-      }
+      ...tokens,
+      user: formatAuthUser(user)
     });
 
   } catch (error) {
+    if (error.code?.startsWith('auth/')) {
+      return res.status(401).json({ error: error.message });
+    }
+
     console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Token refresh failed' });
   }
@@ -130,9 +213,8 @@ router.post('/google', async (req, res) => {
       return res.status(400).json({ error: 'Google ID token is required' });
     }
 
-    // Verify Google token
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    const { uid, email, name, picture } = decodedToken;
+    // Verify Google token with the configured identity provider
+    const { uid, email, name, picture, emailVerified } = await getIdentityProvider().verifyIdToken(idToken);
 
     // Find or create user
     let user = await User.findOne({ firebaseUid: uid });
@@ -154,6 +236,10 @@ router.post('/google', async (req, res) => {
           showLastSeen: true
         }
       });
+      // The identity provider has already confirmed the address
+      if (emailVerified) {
+        user.markEmailVerified();
+      }
       await user.save();
     } else {
       user.isOnline = true;
@@ -161,41 +247,489 @@ router.post('/google', async (req, res) => {
       if (picture && !user.avatar) {
         user.avatar = picture;
       }
+      if (emailVerified) {
+        user.markEmailVerified();
+      }
       await user.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { uid: user._id, firebaseUid: uid },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a new session, or ask for the second factor first
+    await completeSignIn(req, res, user);
+
+  } catch (error) {
+    console.error('Google auth error:', error);
+    res.status(500).json({ error: 'Google authentication failed' });
+  }
+});
+
+// Register with email and password (no Firebase required)
+router.post('/register', async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    
+    if (![email, password, name].every(value => typeof value === 'string' && value)) {
+      return res.status(400).json({ error: 'Email, password and name are required' });
+    }
+    
+    const normalizedEmail = email.toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return res.status(400).json({ error: 'Invalid email address' });
+    }
+    
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    
+    const user = new User({
+      authProvider: 'local',
+      email: normalizedEmail,
+      name: name.trim(),
+      bio: '',
+      interests: [],
+      isOnline: true,
+      lastSeen: new Date()
+    });
+    await user.setPassword(password);
+    await user.save();
+    
+    // Registration succeeds even if the verification email can't be sent;
+    // the user can ask for it again
+    sendVerificationEmail(user).catch(error => {
+      console.error('Send verification email error:', error);
+    });
+    
+    // Start a new session and issue its tokens
+    const tokens = await issueTokens(user, getDeviceContext(req));
+    
+    res.status(201).json({
+      success: true,
+      ...tokens,
+      user: formatAuthUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
 
+// Login with email and password
+router.post('/login', passwordRateLimit, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    
+    if (![email, password].every(value => typeof value === 'string' && value)) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+passwordHash');
+    const isValidPassword = user ? await user.comparePassword(password) : false;
+    
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    
+    user.isOnline = true;
+    user.lastSeen = new Date();
+    await user.save();
+    
+    // Start a new session, or ask for the second factor first
+    await completeSignIn(req, res, user);
+    
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Change password (signs out every other device)
+router.put('/password', verifyToken, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+    
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    
+    const user = await User.findById(userId).select('+passwordHash');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!user.passwordHash) {
+      return res.status(400).json({ error: 'Password login is not enabled for this account' });
+    }
+    
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    await user.setPassword(newPassword);
+    await user.save();
+    
+    const otherSessions = (await Session.findActiveByUser(userId))
+      .filter(session => session._id.toString() !== sessionId.toString());
+    await Session.revokeAllForUser(userId, 'revoked', { exceptSessionId: sessionId });
+    
+    const io = req.app.get('io');
+    otherSessions.forEach(session => disconnectSession(io, session._id.toString()));
+    
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        firebaseUid: user.firebaseUid,
-        name: user.name,
-        email: user.email,
-        bio: user.bio,
-        interests: user.interests,
-        avatar: user.avatar,
-        isOnline: user.isOnline,
-        preferences: user.preferences
-      }
+      message: 'Password changed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Request a password reset token
+router.post('/password/forgot', passwordRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const user = await User.findOne({ email: email.toLowerCase().trim(), authProvider: 'local' });
+    if (user) {
+      const resetToken = await user.createPasswordResetToken();
+      const resetLink = `${getPasswordResetLinkBase()}?token=${resetToken}`;
+      
+      sendMail({
+        to: user.email,
+        subject: 'Reset your Textsy password',
+        text: `Hi ${user.name},\n\nReset your password by opening this link:\n${resetLink}\n\nThe link expires in 1 hour. If you didn't ask to reset your password, you can ignore this email.`
+      }).catch(error => {
+        console.error('Send password reset email error:', error);
+      });
+    }
+    
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
     });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
 
+// Confirm an email address with the token from a verification email
+router.post('/email/verify', emailVerificationRateLimit, async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+    
+    const user = await verifyEmailToken(token);
+    
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatAuthUser(user)
+    });
+    
   } catch (error) {
-    console.error('Google auth error:', error);
-    res.status(500).json({ error: 'Google authentication failed' });
+    if (error.code?.startsWith('verification/')) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email for the signed-in user
+router.post('/email/resend', verifyToken, emailVerificationRateLimit, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+    
+  } catch (error) {
+    if (error.code?.startsWith('verification/')) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Reset password with a reset token (signs out every device)
+router.post('/password/reset', passwordRateLimit, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+    
+    if (newPassword.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` });
+    }
+    
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    
+    await user.setPassword(newPassword);
+    await user.save();
+    
+    const sessions = await Session.findActiveByUser(user._id);
+    await Session.revokeAllForUser(user._id);
+    
+    const io = req.app.get('io');
+    sessions.forEach(session => disconnectSession(io, session._id.toString()));
+    
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login again.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Get two-factor authentication status
+router.get('/2fa', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.recoveryCodeHashes');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodeHashes.length : 0
+    });
+    
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start two-factor enrollment: create a secret for the authenticator app
+router.post('/2fa/setup', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+    
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+    
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+router.post('/2fa/enable', verifyToken, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+    
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      enabledAt: new Date(),
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      lastUsedStep: step,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode)
+    };
+    await user.save();
+    
+    // Recovery codes are only ever shown once
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+    
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Disable two-factor authentication (requires a code or recovery code)
+router.post('/2fa/disable', verifyToken, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    user.twoFactor = { enabled: false };
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', verifyToken, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!(await user.verifySecondFactor({ code }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+    
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+    
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// Complete a sign-in that returned twoFactorRequired
+router.post('/2fa/challenge', twoFactorRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a verification code are required' });
+    }
+    
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    
+    // Start a new session and issue its tokens
+    const tokens = await startSession(req, user);
+    
+    res.json({
+      success: true,
+      ...tokens,
+      user: formatAuthUser(user)
+    });
+    
+  } catch (error) {
+    if (error.code === 'auth/invalid-challenge') {
+      return res.status(401).json({ error: error.message });
+    }
+    
+    console.error('2FA challenge error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed' });
   }
 });
 
 // Logout
-router.post('/logout', verifyFirebaseToken, async (req, res) => {
+router.post('/logout', verifyToken, async (req, res) => {
   try {
+    await revokeSession(req.user.sessionId, 'logout');
+    disconnectSession(req.app.get('io'), req.user.sessionId, 'logout');
+
     const user = await User.findById(req.user.userId);
     if (user) {
       user.isOnline = false;
@@ -210,6 +744,100 @@ router.post('/logout', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// List the current user's active sessions (one per signed-in device)
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    
+    const sessions = await Session.findActiveByUser(userId);
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => formatSession(session, sessionId))
+    });
+    
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', verifyToken, async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    
+    const sessions = await Session.findActiveByUser(userId);
+    const otherSessions = sessions.filter(session => session._id.toString() !== sessionId.toString());
+    
+    await Session.revokeAllForUser(userId, 'revoked', { exceptSessionId: sessionId });
+    
+    const io = req.app.get('io');
+    otherSessions.forEach(session => disconnectSession(io, session._id.toString()));
+    
+    res.json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      revokedCount: otherSessions.length
+    });
+    
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { sessionId } = req.params;
+    
+    const session = mongoose.Types.ObjectId.isValid(sessionId) ? await Session.findActiveById(sessionId) : null;
+    if (!session || session.user.toString() !== userId.toString()) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    await session.revoke();
+    disconnectSession(req.app.get('io'), sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+    
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// The stub token route only exists when the stub provider was chosen
+// explicitly, outside production
+const requireStubIdentityProvider = (req, res, next) => {
+  if (process.env.IDENTITY_PROVIDER !== 'stub' || process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  next();
+};
+
+// Issue a test ID token from the stub identity provider (development only)
+router.post('/stub/id-token', requireStubIdentityProvider, stubTokenRateLimit, (req, res) => {
+  const identityProvider = getIdentityProvider();
+  
+  if (identityProvider.name !== 'stub') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  
+  const { uid, email, name, picture } = req.body;
+  const idToken = identityProvider.createIdToken({ uid, email, name, picture });
+  
+  res.json({
+    success: true,
+    idToken
+  });
+});
+
 // Verify JWT token
 router.get('/verify-token', verifyFirebaseToken, (req, res) => {
   res.json({ 
@@ -1,10 +1,33 @@
 import express from 'express';
-import { checkChatParticipant, verifyToken } from '../middleware/auth.js';
+import { checkChatParticipant, requireChatPermission, verifyToken } from '../middleware/auth.js';
 import Chat from '../models/Chat.js';
+import ChatInvite from '../models/ChatInvite.js';
 import User from '../models/User.js';
+import { formatInvite } from '../services/inviteService.js';
+import { announceMessageExpiryChange, MESSAGE_EXPIRY_OPTIONS } from '../services/messageExpiryService.js';
+import { clearChatForUser } from '../services/messageService.js';
+import { getMaxPinnedMessages, listPinnedMessages } from '../services/pinService.js';
+import { sendToChat } from '../services/socketService.js';
+import { removeStarsForChatMember } from '../services/starService.js';
 
 const router = express.Router();
 
+// Group details that admins may edit through PUT /:chatId
+const EDITABLE_METADATA_FIELDS = ['groupName', 'groupAvatar', 'groupDescription', 'groupRules'];
+
+// Tell the chat room about a role change
+const broadcastRoleChange = (req, chat, userId) => {
+  const io = req.app.get('io');
+  if (io) {
+    sendToChat(io, chat._id, 'participant-role-changed', {
+      chatId: chat._id,
+      userId: userId,
+      role: chat.getRole(userId),
+      changedBy: req.user.userId
+    });
+  }
+};
+
 // Apply middleware to all routes
 router.use(verifyToken);
 
@@ -72,6 +95,11 @@ router.post('/', async (req, res) => {
       }
     });
     
+    // The creator owns the group
+    if (type === 'group') {
+      chat.roles.set(userId.toString(), 'owner');
+    }
+    
     await chat.save();
     
     // Populate chat data
@@ -109,14 +137,30 @@ router.get('/:chatId', checkChatParticipant, async (req, res) => {
 });
 
 // Update chat settings
-router.put('/:chatId', checkChatParticipant, async (req, res) => {
+router.put('/:chatId', checkChatParticipant, requireChatPermission('editInfo'), async (req, res) => {
   try {
     const { chat } = req;
+    const { userId } = req.user;
     const { settings, metadata } = req.body;
     
+    if (settings?.messageExpiry !== undefined && !MESSAGE_EXPIRY_OPTIONS.includes(settings.messageExpiry)) {
+      return res.status(400).json({ error: `messageExpiry must be one of: ${MESSAGE_EXPIRY_OPTIONS.join(', ')}` });
+    }
+    
+    const previousExpiry = chat.settings?.messageExpiry || 'off';
+    
+    // Set individual fields so the creator and other group details are kept
     const updateData = {};
-    if (settings) updateData.settings = settings;
-    if (metadata) updateData.metadata = metadata;
+    if (settings) {
+      Object.entries(settings).forEach(([key, value]) => {
+        updateData[`settings.${key}`] = value;
+      });
+    }
+    if (metadata) {
+      EDITABLE_METADATA_FIELDS.filter(field => metadata[field] !== undefined).forEach(field => {
+        updateData[`metadata.${field}`] = metadata[field];
+      });
+    }
     
     const updatedChat = await Chat.findByIdAndUpdate(
       chat._id,
@@ -124,6 +168,11 @@ router.put('/:chatId', checkChatParticipant, async (req, res) => {
       { new: true, runValidators: true }
     ).populate('participants', 'name avatar isOnline lastSeen');
     
+    // Everyone in the chat sees a notice when the disappearing-message timer changes
+    if (updatedChat.settings.messageExpiry !== previousExpiry) {
+      await announceMessageExpiryChange(req.app.get('io'), updatedChat, userId);
+    }
+    
     res.json({
       success: true,
       chat: updatedChat
@@ -173,6 +222,26 @@ router.delete('/:chatId/archive', checkChatParticipant, async (req, res) => {
   }
 });
 
+// Clear the chat's history for the caller only; other participants keep it
+router.post('/:chatId/clear', checkChatParticipant, async (req, res) => {
+  try {
+    const { chat } = req;
+    const { userId } = req.user;
+    
+    const clearedAt = await clearChatForUser(req.app.get('io'), { chatId: chat._id, userId });
+    await removeStarsForChatMember(chat._id, userId);
+    
+    res.json({
+      success: true,
+      clearedAt
+    });
+    
+  } catch (error) {
+    console.error('Clear chat error:', error);
+    res.status(500).json({ error: 'Failed to clear chat' });
+  }
+});
+
 // Leave chat (for group chats)
 router.post('/:chatId/leave', checkChatParticipant, async (req, res) => {
   try {
@@ -183,11 +252,20 @@ router.post('/:chatId/leave', checkChatParticipant, async (req, res) => {
       return res.status(400).json({ error: 'Cannot leave direct chats' });
     }
     
+    const wasOwner = chat.getRole(userId) === 'owner';
     await chat.removeParticipant(userId);
+    await removeStarsForChatMember(chat._id, userId);
+    
+    // Announce who inherited ownership
+    const newOwnerId = wasOwner && chat.participants.find(id => chat.getRole(id) === 'owner');
+    if (newOwnerId) {
+      broadcastRoleChange(req, chat, newOwnerId);
+    }
     
     res.json({
       success: true,
-      message: 'Left chat successfully'
+      message: 'Left chat successfully',
+      newOwnerId: newOwnerId || undefined
     });
     
   } catch (error) {
@@ -197,7 +275,7 @@ router.post('/:chatId/leave', checkChatParticipant, async (req, res) => {
 });
 
 // Add participant to group chat
-router.post('/:chatId/participants', checkChatParticipant, async (req, res) => {
+router.post('/:chatId/participants', checkChatParticipant, requireChatPermission('addMembers'), async (req, res) => {
   try {
     const { chat } = req;
     const { participantId } = req.body;
@@ -241,12 +319,22 @@ router.delete('/:chatId/participants/:participantId', checkChatParticipant, asyn
       return res.status(400).json({ error: 'Cannot remove participants from direct chats' });
     }
     
-    // Only chat creator or the participant themselves can remove
-    if (chat.metadata.createdBy.toString() !== userId && participantId !== userId) {
+    // Leaving goes through /:chatId/leave so ownership is handed over
+    if (participantId === userId.toString()) {
+      return res.status(400).json({ error: 'Use the leave endpoint to leave a chat' });
+    }
+    
+    if (!chat.participants.some(id => id.toString() === participantId)) {
+      return res.status(404).json({ error: 'User is not a participant' });
+    }
+    
+    // Owners and admins may remove participants ranked below them
+    if (!chat.hasPermission(userId, 'removeMembers') || !chat.outranks(userId, participantId)) {
       return res.status(403).json({ error: 'Not authorized to remove this participant' });
     }
     
-    await chat.removeParticipant(participantId);
+    await chat.removeParticipant(participantId, { removedByAdmin: true });
+    await removeStarsForChatMember(chat._id, participantId);
     
     res.json({
       success: true,
@@ -259,6 +347,96 @@ router.delete('/:chatId/participants/:participantId', checkChatParticipant, asyn
   }
 });
 
+// Create an invite link for a group chat
+router.post('/:chatId/invites', checkChatParticipant, requireChatPermission('manageInvites'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { userId } = req.user;
+    const { expiresInHours, maxUses } = req.body;
+    
+    if (chat.type === 'direct') {
+      return res.status(400).json({ error: 'Cannot create invites for direct chats' });
+    }
+    
+    if (!chat.settings.allowInvites) {
+      return res.status(400).json({ error: 'Invites are disabled for this chat' });
+    }
+    
+    if (expiresInHours !== undefined && !(Number(expiresInHours) > 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+    
+    if (maxUses !== undefined && !(Number.isInteger(Number(maxUses)) && Number(maxUses) > 0)) {
+      return res.status(400).json({ error: 'maxUses must be a positive integer' });
+    }
+    
+    const invite = await ChatInvite.create({
+      chat: chat._id,
+      code: ChatInvite.generateCode(),
+      createdBy: userId,
+      expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : undefined,
+      maxUses: maxUses ? Number(maxUses) : undefined
+    });
+    
+    res.status(201).json({
+      success: true,
+      invite: formatInvite(invite)
+    });
+    
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// List a group's invite links
+router.get('/:chatId/invites', checkChatParticipant, requireChatPermission('manageInvites'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { includeInactive } = req.query;
+    
+    const invites = await ChatInvite.find({ chat: chat._id })
+      .populate('createdBy', 'name avatar')
+      .sort({ createdAt: -1 });
+    
+    const results = includeInactive === 'true' ? invites : invites.filter(invite => invite.isUsable);
+    
+    res.json({
+      success: true,
+      invites: results.map(formatInvite)
+    });
+    
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+// Revoke an invite link
+router.delete('/:chatId/invites/:inviteId', checkChatParticipant, requireChatPermission('manageInvites'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { inviteId } = req.params;
+    const { userId } = req.user;
+    
+    const invite = await ChatInvite.findOne({ _id: inviteId, chat: chat._id });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    await invite.revoke(userId);
+    
+    res.json({
+      success: true,
+      message: 'Invite revoked successfully'
+    });
+    
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
 // Get chat participants
 router.get('/:chatId/participants', checkChatParticipant, async (req, res) => {
   try {
@@ -268,7 +446,10 @@ router.get('/:chatId/participants', checkChatParticipant, async (req, res) => {
     
     res.json({
       success: true,
-      participants: chat.participants
+      participants: chat.participants.map(participant => ({
+        ...participant.toObject(),
+        role: chat.getRole(participant._id)
+      }))
     });
     
   } catch (error) {
@@ -277,14 +458,129 @@ router.get('/:chatId/participants', checkChatParticipant, async (req, res) => {
   }
 });
 
+// Get the chat's pinned messages, most recently pinned first
+router.get('/:chatId/pins', checkChatParticipant, async (req, res) => {
+  try {
+    const { chat } = req;
+    const { userId } = req.user;
+    
+    const pins = await listPinnedMessages(chat, userId);
+    
+    res.json({
+      success: true,
+      pins,
+      maxPins: getMaxPinnedMessages()
+    });
+    
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch pinned messages' });
+  }
+});
+
+// Promote a member to admin
+router.post('/:chatId/participants/:participantId/promote', checkChatParticipant, requireChatPermission('manageRoles'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { participantId } = req.params;
+    
+    if (!chat.participants.some(id => id.toString() === participantId)) {
+      return res.status(404).json({ error: 'User is not a participant' });
+    }
+    
+    if (chat.getRole(participantId) !== 'member') {
+      return res.status(400).json({ error: 'Only members can be promoted' });
+    }
+    
+    await chat.setRole(participantId, 'admin');
+    broadcastRoleChange(req, chat, participantId);
+    
+    res.json({
+      success: true,
+      message: 'Participant promoted to admin',
+      role: 'admin'
+    });
+    
+  } catch (error) {
+    console.error('Promote participant error:', error);
+    res.status(500).json({ error: 'Failed to promote participant' });
+  }
+});
+
+// Demote an admin to member
+router.post('/:chatId/participants/:participantId/demote', checkChatParticipant, requireChatPermission('manageRoles'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { participantId } = req.params;
+    
+    if (!chat.participants.some(id => id.toString() === participantId)) {
+      return res.status(404).json({ error: 'User is not a participant' });
+    }
+    
+    if (chat.getRole(participantId) !== 'admin') {
+      return res.status(400).json({ error: 'Only admins can be demoted' });
+    }
+    
+    await chat.setRole(participantId, 'member');
+    broadcastRoleChange(req, chat, participantId);
+    
+    res.json({
+      success: true,
+      message: 'Admin demoted to member',
+      role: 'member'
+    });
+    
+  } catch (error) {
+    console.error('Demote participant error:', error);
+    res.status(500).json({ error: 'Failed to demote participant' });
+  }
+});
+
+// Transfer group ownership to another participant
+router.post('/:chatId/transfer-ownership', checkChatParticipant, requireChatPermission('manageRoles'), async (req, res) => {
+  try {
+    const { chat } = req;
+    const { userId } = req.user;
+    const { newOwnerId } = req.body;
+    
+    if (!newOwnerId) {
+      return res.status(400).json({ error: 'New owner ID is required' });
+    }
+    
+    if (newOwnerId === userId.toString()) {
+      return res.status(400).json({ error: 'You already own this chat' });
+    }
+    
+    if (!chat.participants.some(id => id.toString() === newOwnerId)) {
+      return res.status(404).json({ error: 'User is not a participant' });
+    }
+    
+    await chat.transferOwnership(userId, newOwnerId);
+    broadcastRoleChange(req, chat, newOwnerId);
+    broadcastRoleChange(req, chat, userId);
+    
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully'
+    });
+    
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+});
+
 // Delete chat (soft delete)
 router.delete('/:chatId', checkChatParticipant, async (req, res) => {
   try {
     const { chat } = req;
     const { userId } = req.user;
     
-    // Only chat creator can delete
-    if (chat.metadata.createdBy.toString() !== userId) {
+    // Group owners can delete; in direct chats only the creator can
+    const canDelete = chat.type === 'group'
+      ? chat.hasPermission(userId, 'deleteChat')
+      : chat.metadata.createdBy?.toString() === userId.toString();
+    if (!canDelete) {
       return res.status(403).json({ error: 'Not authorized to delete this chat' });
     }
     
@@ -0,0 +1,138 @@
+import express from 'express';
+import { rateLimit, verifyToken } from '../middleware/auth.js';
+import DataExport from '../models/DataExport.js';
+import {
+  createDownloadToken,
+  getExportCooldownHours,
+  requestExport,
+  verifyDownloadToken
+} from '../services/dataExportService.js';
+
+const router = express.Router();
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+// Shape an export for API responses, with a fresh download link when ready
+const formatExport = (req, dataExport) => {
+  const result = {
+    id: dataExport._id,
+    format: dataExport.format,
+    status: dataExport.status,
+    fileSize: dataExport.fileSize,
+    requestedAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt
+  };
+
+  if (dataExport.isDownloadable) {
+    const token = createDownloadToken(dataExport);
+    result.downloadUrl = `${req.protocol}://${req.get('host')}/api/exports/${dataExport._id}/download?token=${token}`;
+  }
+
+  return result;
+};
+
+// Request a new personal data export
+router.post('/', verifyToken, rateLimit(15 * 60 * 1000, 5), async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { format = 'json' } = req.body;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    // One export per cooldown window, unless the last one failed
+    const latestExport = await DataExport.findLatestForUser(userId);
+    if (latestExport && latestExport.status !== 'failed') {
+      const nextAllowedAt = new Date(latestExport.createdAt.getTime() + getExportCooldownHours() * 60 * 60 * 1000);
+
+      if (nextAllowedAt > new Date()) {
+        return res.status(429).json({
+          error: 'A data export was requested recently. Please try again later.',
+          retryAfter: nextAllowedAt,
+          export: formatExport(req, latestExport)
+        });
+      }
+    }
+
+    const dataExport = await requestExport(userId, format);
+
+    res.status(202).json({
+      success: true,
+      export: formatExport(req, dataExport)
+    });
+
+  } catch (error) {
+    console.error('Request export error:', error);
+    res.status(500).json({ error: 'Failed to request data export' });
+  }
+});
+
+// List the current user's exports
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const exports = await DataExport.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      exports: exports.map(dataExport => formatExport(req, dataExport))
+    });
+
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ error: 'Failed to fetch data exports' });
+  }
+});
+
+// Get export status
+router.get('/:exportId', verifyToken, async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { exportId } = req.params;
+
+    const dataExport = await DataExport.findById(exportId);
+    if (!dataExport || dataExport.user.toString() !== userId.toString()) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({
+      success: true,
+      export: formatExport(req, dataExport)
+    });
+
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ error: 'Failed to fetch data export' });
+  }
+});
+
+// Download a finished export. Authorized by the signed link token rather
+// than a bearer token, so the link can be opened in a browser.
+router.get('/:exportId/download', async (req, res) => {
+  try {
+    const { exportId } = req.params;
+    const { token } = req.query;
+
+    if (!token || !verifyDownloadToken(token, exportId)) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const dataExport = await DataExport.findById(exportId);
+    if (!dataExport || !dataExport.isDownloadable) {
+      return res.status(410).json({ error: 'Export is no longer available' });
+    }
+
+    res.download(dataExport.filePath, `textsy-data-export.${dataExport.format}`);
+
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download data export' });
+  }
+});
+
+export default router;
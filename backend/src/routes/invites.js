@@ -0,0 +1,71 @@
+import express from 'express';
+import { rateLimit, verifyToken } from '../middleware/auth.js';
+import { findUsableInvite, joinChatWithInvite } from '../services/inviteService.js';
+
+const router = express.Router();
+
+// Apply middleware to all routes
+router.use(verifyToken);
+
+// Preview the group behind an invite code
+router.get('/:code', rateLimit(15 * 60 * 1000, 60), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { userId } = req.user;
+
+    const invite = await findUsableInvite(code);
+    const chat = invite.chat;
+
+    res.json({
+      success: true,
+      invite: {
+        code: invite.code,
+        expiresAt: invite.expiresAt
+      },
+      chat: {
+        id: chat._id,
+        groupName: chat.metadata.groupName,
+        groupAvatar: chat.metadata.groupAvatar,
+        groupDescription: chat.metadata.groupDescription,
+        participantCount: chat.participants.length,
+        isMember: chat.participants.some(id => id.toString() === userId.toString())
+      }
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('invite/')) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Preview invite error:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Join a group through an invite code
+router.post('/:code/join', rateLimit(15 * 60 * 1000, 30), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { userId } = req.user;
+
+    const { chat, alreadyMember } = await joinChatWithInvite(req.app.get('io'), userId, code);
+
+    await chat.populate('participants', 'name avatar isOnline lastSeen');
+
+    res.json({
+      success: true,
+      message: alreadyMember ? 'Already a member of this chat' : 'Joined chat successfully',
+      chat: chat
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('invite/')) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('Join with invite error:', error);
+    res.status(500).json({ error: 'Failed to join chat' });
+  }
+});
+
+export default router;
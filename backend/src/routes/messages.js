@@ -1,99 +1,237 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { checkChatParticipant, verifyToken } from '../middleware/auth.js';
 import Chat from '../models/Chat.js';
 import Message from '../models/Message.js';
+import { removeAttachmentsForMessages } from '../services/attachmentService.js';
+import {
+  deleteMessageForEveryone,
+  deleteMessageForMe,
+  editChatMessage,
+  formatHistoryMessage,
+  forwardMessages,
+  markMessagesDelivered,
+  markMessagesRead,
+  sendChatMessage
+} from '../services/messageService.js';
+import { decodeCursor, parseLimit } from '../services/paginationService.js';
+import { pinMessage, removePinsForMessages, unpinMessage } from '../services/pinService.js';
+import {
+  findReactableMessage,
+  listReactionUsers,
+  removeReaction,
+  toggleReaction
+} from '../services/reactionService.js';
+import { searchMessages } from '../services/searchService.js';
+import {
+  findStarredIds,
+  listStarredMessages,
+  removeStarsForMessages,
+  starMessage,
+  unstarMessage
+} from '../services/starService.js';
 
 const router = express.Router();
 
 // Apply middleware to all routes
 router.use(verifyToken);
 
-// Get messages for a chat
+// Get messages for a chat, newest first. Pass `cursor` (a nextCursor or
+// prevCursor from an earlier page) to continue, or `around` (a message ID)
+// to load the window surrounding that message.
 router.get('/chat/:chatId', checkChatParticipant, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { limit = 50, skip = 0, before, after } = req.query;
+    const { cursor, around } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const viewer = { userId: req.user.userId, clearedAt: req.chat.getClearedAt(req.user.userId) };
     
-    const options = {
-      limit: parseInt(limit),
-      skip: parseInt(skip)
-    };
+    if (cursor && around) {
+      return res.status(400).json({ error: 'Use either cursor or around, not both' });
+    }
     
-    if (before) options.before = new Date(before);
-    if (after) options.after = new Date(after);
+    let page;
+    if (around) {
+      if (!mongoose.Types.ObjectId.isValid(around)) {
+        return res.status(400).json({ error: 'Invalid message ID' });
+      }
+      
+      page = await Message.findAroundMessage(chatId, around, { limit, viewer });
+      if (!page) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+    } else {
+      page = await Message.findByChat(chatId, {
+        limit,
+        viewer,
+        cursor: cursor ? decodeCursor(cursor) : undefined
+      });
+    }
     
-    const messages = await Message.findByChat(chatId, options);
+    // Syncing history counts as delivery to this device
+    const messageIds = page.messages.map(message => message._id);
+    await markMessagesDelivered(req.app.get('io'), req.chat, req.user.userId, messageIds);
+    const starredIds = await findStarredIds(req.user.userId, messageIds);
     
     res.json({
       success: true,
-      messages: messages,
-      total: messages.length,
-      hasMore: messages.length === parseInt(limit)
+      messages: page.messages.map(message => ({
+        ...formatHistoryMessage(message, req.chat, req.user.userId),
+        isStarred: starredIds.has(message._id.toString())
+      })),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+      hasMore: Boolean(page.nextCursor)
     });
     
   } catch (error) {
+    if (error.code === 'pagination/invalid-cursor') {
+      return res.status(400).json({ error: error.message });
+    }
+    
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Failed to fetch messages' });
   }
 });
 
-// Send a message
+// Send a message. A client-generated `clientMessageId` makes retries safe:
+// resending with the same ID returns the original message. Image, video,
+// audio and file messages pass the `attachmentId` of an upload.
 router.post('/chat/:chatId', checkChatParticipant, async (req, res) => {
   try {
     const { chatId } = req.params;
     const { userId } = req.user;
-    const { content, messageType = 'text', metadata = {}, replyTo } = req.body;
+    const { content, messageType = 'text', metadata = {}, replyTo, attachmentId, clientMessageId } = req.body;
+    
+    const { message, duplicate } = await sendChatMessage(req.app.get('io'), {
+      chatId,
+      senderId: userId,
+      content,
+      messageType,
+      metadata,
+      replyTo,
+      attachmentId,
+      clientMessageId
+    });
     
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Message content is required' });
+    // Populate message with sender info
+    await message.populate('sender', 'name avatar');
+    if (message.replyTo) {
+      await message.populate('replyTo', 'content sender');
     }
     
-    if (content.length > 1000) {
-      return res.status(400).json({ error: 'Message too long (max 1000 characters)' });
+    res.status(duplicate ? 200 : 201).json({
+      success: true,
+      message: message,
+      duplicate
+    });
+    
+  } catch (error) {
+    if (error.code?.startsWith('message/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Forward messages into one or more chats. Type and metadata are kept and
+// each copy records the message it was forwarded from.
+router.post('/forward', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { messageIds, targetChatIds } = req.body;
+    
+    if (!Array.isArray(messageIds) || !Array.isArray(targetChatIds)) {
+      return res.status(400).json({ error: 'messageIds and targetChatIds must be arrays' });
     }
     
-    // Create message
-    const message = new Message({
-      chatId: chatId,
-      sender: userId,
-      content: content.trim(),
-      messageType: messageType,
-      metadata: metadata,
-      replyTo: replyTo
+    const forwarded = await forwardMessages(req.app.get('io'), {
+      senderId: userId,
+      messageIds,
+      targetChatIds
     });
     
-    await message.save();
+    res.status(201).json({
+      success: true,
+      forwarded
+    });
     
-    // Update chat's last message and timestamp
-    const chat = await Chat.findById(chatId);
-    if (chat) {
-      chat.lastMessage = message._id;
-      chat.updatedAt = new Date();
-      
-      // Update unread counts for other participants
-      chat.participants.forEach(participantId => {
-        if (participantId.toString() !== userId) {
-          chat.updateUnreadCount(participantId.toString(), 1);
-        }
-      });
-      
-      await chat.save();
+  } catch (error) {
+    if (error.code?.startsWith('message/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
     }
     
-    // Populate message with sender info
-    await message.populate('sender', 'name avatar');
-    if (replyTo) {
-      await message.populate('replyTo', 'content sender');
+    console.error('Forward messages error:', error);
+    res.status(500).json({ error: 'Failed to forward messages' });
+  }
+});
+
+// List the user's starred messages, most recently starred first and
+// grouped by chat. Pass `cursor` (a nextCursor from an earlier page) to continue.
+router.get('/starred', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { cursor } = req.query;
+    
+    const page = await listStarredMessages(userId, {
+      cursor: cursor ? decodeCursor(cursor) : undefined,
+      limit: parseLimit(req.query.limit)
+    });
+    
+    res.json({
+      success: true,
+      chats: page.chats,
+      nextCursor: page.nextCursor,
+      hasMore: Boolean(page.nextCursor)
+    });
+    
+  } catch (error) {
+    if (error.code === 'pagination/invalid-cursor') {
+      return res.status(400).json({ error: error.message });
     }
     
-    res.status(201).json({
+    console.error('Get starred messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch starred messages' });
+  }
+});
+
+// Search messages in all of the user's chats. Filters: chatId, sender,
+// type, from and to (dates). `sort` is 'relevance' (default) or 'recent';
+// pass `cursor` (a nextCursor from an earlier page) to continue.
+router.get('/search', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { q, chatId, sender, type, from, to, sort, cursor } = req.query;
+    
+    const page = await searchMessages({
+      userId,
+      query: q,
+      chatId,
+      senderId: sender,
+      messageType: type,
+      from,
+      to,
+      sort,
+      cursor,
+      limit: parseLimit(req.query.limit, 20, 50)
+    });
+    
+    res.json({
       success: true,
-      message: message
+      results: page.results,
+      nextCursor: page.nextCursor,
+      hasMore: Boolean(page.nextCursor)
     });
     
   } catch (error) {
-    console.error('Send message error:', error);
-    res.status(500).json({ error: 'Failed to send message' });
+    if (error.code?.startsWith('search/') || error.code === 'pagination/invalid-cursor') {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
+    console.error('Search messages error:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
   }
 });
 
@@ -106,8 +244,7 @@ router.get('/:messageId', async (req, res) => {
     const message = await Message.findById(messageId)
       .populate('sender', 'name avatar')
       .populate('replyTo', 'content sender')
-      .populate('readBy.user', 'name avatar')
-      .populate('reactions.user', 'name avatar');
+      .populate('readBy.user', 'name avatar');
     
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
@@ -119,9 +256,14 @@ router.get('/:messageId', async (req, res) => {
       return res.status(403).json({ error: 'Access denied to this message' });
     }
     
+    // Messages deleted for this user alone, or cleared, are gone for them
+    if (!message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
     res.json({
       success: true,
-      message: message
+      message: formatHistoryMessage(message, chat, userId)
     });
     
   } catch (error) {
@@ -146,12 +288,12 @@ router.put('/:messageId', async (req, res) => {
     }
     
     const message = await Message.findById(messageId);
-    if (!message) {
+    if (!message || message.isDeleted) {
       return res.status(404).json({ error: 'Message not found' });
     }
     
     // Check if user is the sender
-    if (message.sender.toString() !== userId) {
+    if (message.sender.toString() !== userId || message.messageType === 'system') {
       return res.status(403).json({ error: 'Can only edit your own messages' });
     }
     
@@ -161,8 +303,21 @@ router.put('/:messageId', async (req, res) => {
       return res.status(400).json({ error: 'Cannot edit messages older than 1 hour' });
     }
     
-    // Edit message
-    await message.edit(content.trim(), userId);
+    // Edit message, updating who it mentions
+    const io = req.app.get('io');
+    await editChatMessage(io, { message, userId, content: content.trim() });
+    
+    // Update the message for everyone viewing the chat
+    if (io) {
+      io.to(`chat:${message.chatId}`).emit('message-edited', {
+        chatId: message.chatId,
+        messageId: message._id,
+        content: message.content,
+        mentions: message.mentions,
+        isEdited: true,
+        editedAt: message.updatedAt
+      });
+    }
     
     // Populate updated message
     await message.populate('sender', 'name avatar');
@@ -178,39 +333,134 @@ router.put('/:messageId', async (req, res) => {
   }
 });
 
-// Delete message (soft delete)
-router.delete('/:messageId', async (req, res) => {
+// Get a message's earlier versions, oldest first. Only participants of the
+// chat can see them, and deleted messages keep no visible history.
+router.get('/:messageId/history', async (req, res) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.user;
     
-    const message = await Message.findById(messageId);
+    const message = await Message.findById(messageId).select('chatId content isEdited isDeleted editHistory hiddenFor createdAt updatedAt');
+    if (!message || message.isDeleted) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    // Check if user has access to this message
+    const chat = await Chat.findById(message.chatId);
+    if (!chat || !chat.participants.includes(userId)) {
+      return res.status(403).json({ error: 'Access denied to this message' });
+    }
+    
+    if (!message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    res.json({
+      success: true,
+      messageId: message._id,
+      content: message.content,
+      isEdited: message.isEdited,
+      editHistory: message.editHistory.map(({ content, editedAt }) => ({ content, editedAt }))
+    });
+    
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ error: 'Failed to fetch message history' });
+  }
+});
+
+// Get a reply thread: the root message and a page of its replies, oldest
+// first. Any message in the thread can be passed as messageId.
+router.get('/:messageId/thread', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.user;
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    
+    const message = await Message.findById(messageId).select('chatId threadRoot');
     if (!message) {
       return res.status(404).json({ error: 'Message not found' });
     }
     
-    // Check if user is the sender or chat admin
+    // Check if user has access to this message
     const chat = await Chat.findById(message.chatId);
-    if (!chat) {
-      return res.status(404).json({ error: 'Chat not found' });
+    if (!chat || !chat.participants.includes(userId)) {
+      return res.status(403).json({ error: 'Access denied to this message' });
+    }
+    
+    // The message and its root must both still exist for this user; roots
+    // can be purged by disappearing messages or hidden by delete-for-me
+    const viewer = { userId, clearedAt: chat.getClearedAt(userId) };
+    const rootId = message.threadRoot || message._id;
+    const [visibleMessage, root] = await Promise.all([
+      Message.findVisibleById(message._id, viewer).select('_id'),
+      Message.findVisibleById(rootId, viewer).populate('sender', 'name avatar')
+    ]);
+    if (!visibleMessage || !root) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    const { replies, nextCursor } = await Message.findThreadReplies(rootId, {
+      limit,
+      viewer,
+      cursor: cursor ? decodeCursor(cursor) : undefined
+    });
+    
+    res.json({
+      success: true,
+      root: formatHistoryMessage(root, chat, userId),
+      replies: replies.map(reply => formatHistoryMessage(reply, chat, userId)),
+      replyCount: root.threadReplyCount,
+      lastReplyAt: root.threadLastReplyAt,
+      nextCursor
+    });
+    
+  } catch (error) {
+    if (error.code === 'pagination/invalid-cursor') {
+      return res.status(400).json({ error: error.message });
     }
     
-    const isSender = message.sender.toString() === userId;
-    const isChatAdmin = chat.metadata.createdBy.toString() === userId;
+    console.error('Get thread error:', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+// Delete a message. `scope` (query or body) is 'everyone' (the default),
+// which leaves a tombstone for all participants, or 'me', which hides the
+// message from the caller only.
+router.delete('/:messageId', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.user;
+    const scope = req.query.scope || req.body?.scope || 'everyone';
     
-    if (!isSender && !isChatAdmin) {
-      return res.status(403).json({ error: 'Not authorized to delete this message' });
+    if (!['me', 'everyone'].includes(scope)) {
+      return res.status(400).json({ error: "scope must be 'me' or 'everyone'" });
     }
     
-    // Soft delete message
-    await message.softDelete(userId);
+    const io = req.app.get('io');
+    if (scope === 'me') {
+      await deleteMessageForMe(io, { messageId, userId });
+      await unstarMessage(io, { messageId, userId });
+    } else {
+      const message = await deleteMessageForEveryone(io, { messageId, userId });
+      await removeStarsForMessages([message._id]);
+      await removePinsForMessages(io, message.chatId, [message._id]);
+      await removeAttachmentsForMessages([message._id]);
+    }
     
     res.json({
       success: true,
+      scope,
       message: 'Message deleted successfully'
     });
     
   } catch (error) {
+    if (error.code?.startsWith('message/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
     console.error('Delete message error:', error);
     res.status(500).json({ error: 'Failed to delete message' });
   }
@@ -219,37 +469,14 @@ router.delete('/:messageId', async (req, res) => {
 // Mark messages as read
 router.post('/chat/:chatId/read', checkChatParticipant, async (req, res) => {
   try {
-    const { chatId } = req.params;
     const { userId } = req.user;
     const { messageIds } = req.body;
     
-    if (!messageIds || messageIds.length === 0) {
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
       return res.status(400).json({ error: 'Message IDs are required' });
     }
     
-    // Mark messages as read
-    await Message.updateMany(
-      { 
-        _id: { $in: messageIds }, 
-        chatId: chatId,
-        sender: { $ne: userId }
-      },
-      { 
-        $addToSet: { 
-          readBy: { 
-            user: userId, 
-            readAt: new Date() 
-          } 
-        },
-        $set: { isRead: true }
-      }
-    );
-    
-    // Update chat unread count
-    const chat = await Chat.findById(chatId);
-    if (chat) {
-      await chat.resetUnreadCount(userId);
-    }
+    await markMessagesRead(req.app.get('io'), req.chat, userId, messageIds);
     
     res.json({
       success: true,
@@ -262,108 +489,178 @@ router.post('/chat/:chatId/read', checkChatParticipant, async (req, res) => {
   }
 });
 
-// Add reaction to message
+// Toggle a reaction: adds the emoji, or removes it if the user already
+// reacted with it. Responds with the updated per-emoji summary.
 router.post('/:messageId/reactions', async (req, res) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.user;
     const { emoji } = req.body;
     
-    if (!emoji) {
-      return res.status(400).json({ error: 'Emoji is required' });
-    }
-    
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-    
-    // Check if user has access to this message
-    const chat = await Chat.findById(message.chatId);
-    if (!chat || !chat.participants.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this message' });
-    }
-    
-    // Add reaction
-    await message.addReaction(userId, emoji);
+    const { action, message } = await toggleReaction(req.app.get('io'), { messageId, userId, emoji });
     
     res.json({
       success: true,
-      message: 'Reaction added successfully'
+      action,
+      reactions: message.getReactionSummary(userId)
     });
     
   } catch (error) {
+    if (error.code?.startsWith('reaction/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
     console.error('Add reaction error:', error);
     res.status(500).json({ error: 'Failed to add reaction' });
   }
 });
 
-// Remove reaction from message
+// Remove a reaction (?emoji=), or all of the user's reactions without one
 router.delete('/:messageId/reactions', async (req, res) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.user;
+    const emoji = req.query.emoji ?? req.body?.emoji;
     
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
+    const message = await removeReaction(req.app.get('io'), { messageId, userId, emoji });
+    
+    res.json({
+      success: true,
+      reactions: message.getReactionSummary(userId)
+    });
+    
+  } catch (error) {
+    if (error.code?.startsWith('reaction/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
     }
     
-    // Check if user has access to this message
-    const chat = await Chat.findById(message.chatId);
-    if (!chat || !chat.participants.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this message' });
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
+// Get a message's reaction summary, or who reacted with one emoji (?emoji=)
+router.get('/:messageId/reactions', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.user;
+    const { emoji } = req.query;
+    
+    if (emoji !== undefined) {
+      const users = await listReactionUsers({ messageId, userId, emoji });
+      return res.json({
+        success: true,
+        emoji,
+        users
+      });
     }
     
-    // Remove reaction
-    await message.removeReaction(userId);
+    const message = await findReactableMessage(messageId, userId);
     
     res.json({
       success: true,
-      message: 'Reaction removed successfully'
+      reactions: message.getReactionSummary(userId)
     });
     
   } catch (error) {
-    console.error('Remove reaction error:', error);
-    res.status(500).json({ error: 'Failed to remove reaction' });
+    if (error.code?.startsWith('reaction/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
+    console.error('Get reactions error:', error);
+    res.status(500).json({ error: 'Failed to fetch reactions' });
   }
 });
 
-// Search messages in a chat
+// Search messages in a chat, newest first. Takes the same filters as
+// GET /search; `cursor` continues from an earlier page.
 router.get('/chat/:chatId/search', checkChatParticipant, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const { q, limit = 20, skip = 0 } = req.query;
-    
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
-    }
-    
-    const messages = await Message.search(chatId, q.trim(), {
-      limit: parseInt(limit),
-      skip: parseInt(skip)
+    const { q, sender, type, from, to, sort = 'recent', cursor } = req.query;
+    
+    const page = await searchMessages({
+      userId: req.user.userId,
+      query: q,
+      chatId,
+      senderId: sender,
+      messageType: type,
+      from,
+      to,
+      sort,
+      cursor,
+      limit: parseLimit(req.query.limit, 20, 50)
     });
+    const messages = page.results.map(result => result.message);
     
     res.json({
       success: true,
-      messages: messages,
+      messages,
+      snippets: page.results.map(result => result.snippet),
       total: messages.length,
-      hasMore: messages.length === parseInt(limit)
+      nextCursor: page.nextCursor,
+      hasMore: Boolean(page.nextCursor)
     });
     
   } catch (error) {
+    if (error.code?.startsWith('search/') || error.code === 'pagination/invalid-cursor') {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
     console.error('Search messages error:', error);
     res.status(500).json({ error: 'Failed to search messages' });
   }
 });
 
+// Star a message for yourself
+router.post('/:messageId/star', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.user;
+    
+    await starMessage(req.app.get('io'), { messageId, userId });
+    
+    res.json({
+      success: true,
+      isStarred: true
+    });
+    
+  } catch (error) {
+    if (error.code?.startsWith('star/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
+    console.error('Star message error:', error);
+    res.status(500).json({ error: 'Failed to star message' });
+  }
+});
+
+// Unstar a message
+router.delete('/:messageId/star', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { userId } = req.user;
+    
+    await unstarMessage(req.app.get('io'), { messageId, userId });
+    
+    res.json({
+      success: true,
+      isStarred: false
+    });
+    
+  } catch (error) {
+    console.error('Unstar message error:', error);
+    res.status(500).json({ error: 'Failed to unstar message' });
+  }
+});
+
 // Get unread message count for a chat
 router.get('/chat/:chatId/unread-count', checkChatParticipant, async (req, res) => {
   try {
     const { chatId } = req.params;
     const { userId } = req.user;
     
-    const unreadMessages = await Message.findUnreadForUser(chatId, userId);
+    const unreadMessages = await Message.findUnreadForUser(chatId, userId, req.chat.getClearedAt(userId));
     
     res.json({
       success: true,
@@ -376,33 +673,13 @@ router.get('/chat/:chatId/unread-count', checkChatParticipant, async (req, res)
   }
 });
 
-// Pin message
+// Pin a message for everyone in the chat
 router.post('/:messageId/pin', async (req, res) => {
   try {
     const { messageId } = req.params;
     const { userId } = req.user;
     
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-    
-    // Check if user has access to this message
-    const chat = await Chat.findById(message.chatId);
-    if (!chat || !chat.participants.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this message' });
-    }
-    
-    // Check if user is chat admin
-    if (chat.metadata.createdBy.toString() !== userId) {
-      return res.status(403).json({ error: 'Only chat admin can pin messages' });
-    }
-    
-    // Pin message
-    await message.pin(userId);
-    
-    // Add to chat's pinned messages
-    await chat.pinMessage(messageId, userId);
+    await pinMessage(req.app.get('io'), { messageId, userId });
     
     res.json({
       success: true,
@@ -410,6 +687,10 @@ router.post('/:messageId/pin', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code?.startsWith('pin/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
     console.error('Pin message error:', error);
     res.status(500).json({ error: 'Failed to pin message' });
   }
@@ -421,27 +702,7 @@ router.delete('/:messageId/pin', async (req, res) => {
     const { messageId } = req.params;
     const { userId } = req.user;
     
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
-    }
-    
-    // Check if user has access to this message
-    const chat = await Chat.findById(message.chatId);
-    if (!chat || !chat.participants.includes(userId)) {
-      return res.status(403).json({ error: 'Access denied to this message' });
-    }
-    
-    // Check if user is chat admin
-    if (chat.metadata.createdBy.toString() !== userId) {
-      return res.status(403).json({ error: 'Only chat admin can unpin messages' });
-    }
-    
-    // Unpin message
-    await message.unpin();
-    
-    // Remove from chat's pinned messages
-    await chat.unpinMessage(messageId);
+    await unpinMessage(req.app.get('io'), { messageId, userId });
     
     res.json({
       success: true,
@@ -449,6 +710,10 @@ router.delete('/:messageId/pin', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.code?.startsWith('pin/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    
     console.error('Unpin message error:', error);
     res.status(500).json({ error: 'Failed to unpin message' });
   }
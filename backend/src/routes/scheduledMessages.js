@@ -0,0 +1,122 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken } from '../middleware/auth.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import {
+  cancelScheduledMessage,
+  formatScheduledMessage,
+  scheduleMessage,
+  updateScheduledMessage
+} from '../services/scheduledMessageService.js';
+
+const router = express.Router();
+
+// Apply middleware to all routes
+router.use(verifyToken);
+
+// List the user's pending scheduled messages, optionally for one chat
+router.get('/', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { chatId } = req.query;
+
+    if (chatId && !mongoose.Types.ObjectId.isValid(chatId)) {
+      return res.status(400).json({ error: 'Invalid chat ID' });
+    }
+
+    const scheduledMessages = await ScheduledMessage.findPendingForUser(userId, chatId);
+
+    res.json({
+      success: true,
+      scheduledMessages: scheduledMessages.map(formatScheduledMessage)
+    });
+
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+// Schedule a message to be sent at `sendAt`
+router.post('/', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { chatId, content, messageType = 'text', metadata = {}, replyTo, sendAt } = req.body;
+
+    const scheduled = await scheduleMessage({
+      chatId,
+      senderId: userId,
+      content,
+      messageType,
+      metadata,
+      replyTo,
+      sendAt
+    });
+
+    res.status(201).json({
+      success: true,
+      scheduledMessage: formatScheduledMessage(scheduled)
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('schedule/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Schedule message error:', error);
+    res.status(500).json({ error: 'Failed to schedule message' });
+  }
+});
+
+// Edit the content or send time of a pending message
+router.put('/:scheduledId', async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+    const { userId } = req.user;
+    const { content, sendAt } = req.body;
+
+    if (content === undefined && sendAt === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const scheduled = await updateScheduledMessage(scheduledId, userId, { content, sendAt });
+
+    res.json({
+      success: true,
+      scheduledMessage: formatScheduledMessage(scheduled)
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('schedule/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Update scheduled message error:', error);
+    res.status(500).json({ error: 'Failed to update scheduled message' });
+  }
+});
+
+// Cancel a pending message
+router.delete('/:scheduledId', async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+    const { userId } = req.user;
+
+    await cancelScheduledMessage(scheduledId, userId);
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled'
+    });
+
+  } catch (error) {
+    if (error.code?.startsWith('schedule/')) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+
+    console.error('Cancel scheduled message error:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message' });
+  }
+});
+
+export default router;
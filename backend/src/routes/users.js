@@ -1,6 +1,7 @@
 import express from 'express';
 import { checkUserNotBanned, verifyToken } from '../middleware/auth.js';
 import User from '../models/User.js';
+import { getDeletionGraceDays, signOutEverywhere } from '../services/accountDeletionService.js';
 
 const router = express.Router();
 
@@ -90,6 +91,41 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// Request account deletion. The account is erased once the grace period
+// ends; signing in again before then cancels the request.
+router.delete('/me', async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { password } = req.body || {};
+    
+    const user = await User.findById(userId).select('+passwordHash');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Local accounts confirm with their password
+    if (user.passwordHash && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    
+    if (!user.deletionScheduledFor) {
+      await user.requestDeletion(getDeletionGraceDays());
+    }
+    
+    await signOutEverywhere(req.app.get('io'), user);
+    
+    res.json({
+      success: true,
+      message: 'Account scheduled for deletion. Sign in again before the deletion date to cancel.',
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+    
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
 // Get user discovery (potential matches)
 router.get('/discover', async (req, res) => {
   try {
@@ -111,7 +147,11 @@ router.get('/discover', async (req, res) => {
     // Build query
     const query = {
       _id: { $ne: userId },
-      isBanned: false
+      isBanned: false,
+      // Accounts stay hidden until their email is verified
+      isVerified: true,
+      isDeleted: { $ne: true },
+      deletionScheduledFor: null
     };
     
     // Filter by interests if provided
@@ -193,6 +233,10 @@ router.get('/search', async (req, res) => {
     const query = {
       _id: { $ne: userId },
       isBanned: false,
+      // Accounts stay hidden until their email is verified
+      isVerified: true,
+      isDeleted: { $ne: true },
+      deletionScheduledFor: null,
       $or: [
         { name: { $regex: q, $options: 'i' } },
         { bio: { $regex: q, $options: 'i' } },
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import Chat from '../models/Chat.js';
+import DataExport from '../models/DataExport.js';
+import Message from '../models/Message.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import StarredMessage from '../models/StarredMessage.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { removeAttachmentsForMessages, removeUnsentAttachmentsForUser } from './attachmentService.js';
+import { getIdentityProvider } from './identity/index.js';
+import { disconnectUser } from './socketService.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+export const getDeletionGraceDays = () => {
+  const graceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return Number.isNaN(graceDays) ? 14 : graceDays;
+};
+
+// Sign the user out everywhere: revoke sessions, provider tokens and sockets
+export const signOutEverywhere = async (io, user) => {
+  await Session.revokeAllForUser(user._id);
+
+  if (user.firebaseUid) {
+    try {
+      await getIdentityProvider().revoke(user.firebaseUid);
+    } catch (error) {
+      console.error('Identity provider revoke error:', error);
+    }
+  }
+
+  if (io) {
+    disconnectUser(io, user._id.toString(), 'account-deletion');
+  }
+};
+
+// Erase a user's data. Their messages are soft-deleted, they are removed
+// from every chat and from other users' block and report lists, their data
+// exports are deleted, and the user document is anonymized.
+export const eraseUser = async (io, userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    return;
+  }
+
+  await signOutEverywhere(io, user);
+
+  // Other people's stars go with the messages they point at
+  const sentMessageIds = await Message.distinct('_id', { sender: user._id, isDeleted: false });
+  await StarredMessage.deleteMany({ $or: [{ user: user._id }, { message: { $in: sentMessageIds } }] });
+  await removeAttachmentsForMessages(sentMessageIds);
+  await removeUnsentAttachmentsForUser(user._id);
+  await Chat.updateMany(
+    { 'pinnedMessages.message': { $in: sentMessageIds } },
+    { $pull: { pinnedMessages: { message: { $in: sentMessageIds } } } }
+  );
+
+  await Message.updateMany(
+    { sender: user._id, isDeleted: false },
+    {
+      $set: {
+        isDeleted: true,
+        deletedAt: new Date(),
+        deletedBy: user._id
+      }
+    }
+  );
+
+  // Clear everything the messages said, as Message.softDelete does. This
+  // also covers messages deleted earlier, which may predate that.
+  await Message.updateMany(
+    { sender: user._id },
+    {
+      $set: {
+        content: '[Message deleted]',
+        metadata: {},
+        editHistory: [],
+        reactions: [],
+        mentions: []
+      },
+      $unset: { attachment: '' }
+    }
+  );
+
+  await Message.updateMany(
+    { 'reactions.user': user._id },
+    { $pull: { reactions: { user: user._id } } }
+  );
+
+  // Direct chats can't continue with a single participant
+  await Chat.updateMany(
+    { type: 'direct', participants: user._id },
+    { $set: { isActive: false } }
+  );
+
+  // Leave groups one at a time so ownership is handed over
+  const groupChats = await Chat.find({ type: 'group', participants: user._id });
+  for (const chat of groupChats) {
+    await chat.removeParticipant(user._id);
+  }
+
+  await Chat.updateMany(
+    { $or: [{ participants: user._id }, { 'archivedBy.user': user._id }] },
+    {
+      $pull: {
+        participants: user._id,
+        archivedBy: { user: user._id }
+      },
+      $unset: {
+        [`unreadCounts.${user._id}`]: '',
+        [`unreadMentionCounts.${user._id}`]: '',
+        [`clearedAt.${user._id}`]: ''
+      }
+    }
+  );
+
+  await User.updateMany(
+    { blockedUsers: user._id },
+    { $pull: { blockedUsers: user._id } }
+  );
+
+  await User.updateMany(
+    { 'reportedBy.user': user._id },
+    { $pull: { reportedBy: { user: user._id } } }
+  );
+
+  await Session.deleteMany({ user: user._id });
+  await ScheduledMessage.deleteMany({ sender: user._id });
+
+  const dataExports = await DataExport.find({ user: user._id, filePath: { $exists: true } });
+  for (const dataExport of dataExports) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  await DataExport.deleteMany({ user: user._id });
+
+  await user.anonymize();
+
+  console.log(`🗑️  Erased account ${user._id}`);
+};
+
+// Erase every account whose grace period has ended
+export const processDueDeletions = async (io) => {
+  const dueUsers = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    isDeleted: { $ne: true }
+  }).select('_id');
+
+  for (const { _id } of dueUsers) {
+    try {
+      await eraseUser(io, _id);
+    } catch (error) {
+      console.error(`Account erasure failed for ${_id}:`, error);
+    }
+  }
+};
+
+// Start the background sweep for pending account deletions
+export const startAccountDeletionJob = (io) => {
+  const run = () => processDueDeletions(io).catch(error => {
+    console.error('Account deletion sweep error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,330 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { getStorageDriver } from './storage/index.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const FILE_NAME_MAX_LENGTH = 255;
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_KINDS = ['image', 'video', 'audio', 'file'];
+
+// Content types each kind accepts. Types are detected from the file's
+// first bytes; what the client claims is ignored.
+const ALLOWED_MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic'],
+  video: ['video/mp4', 'video/quicktime', 'video/webm'],
+  audio: ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav'],
+  file: ['application/pdf', 'application/zip', 'text/plain']
+};
+
+// Largest upload accepted for each kind, in bytes
+export const getAttachmentSizeLimits = () => ({
+  image: parseInt(process.env.MAX_IMAGE_SIZE) || 10 * MB,
+  video: parseInt(process.env.MAX_VIDEO_SIZE) || 50 * MB,
+  audio: parseInt(process.env.MAX_AUDIO_SIZE) || 16 * MB,
+  file: parseInt(process.env.MAX_FILE_SIZE) || 10 * MB
+});
+
+const getUrlTtlMinutes = () => parseInt(process.env.ATTACHMENT_URL_TTL_MINUTES) || 60;
+// Uploads never sent in a message are removed after this long
+const getUnsentTtlHours = () => parseInt(process.env.ATTACHMENT_UNSENT_TTL_HOURS) || 24;
+
+const createAttachmentError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Files without a known signature count as plain text only when the start
+// of the file is UTF-8 without control characters
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.length === 0 || sample.includes(0)) {
+    return false;
+  }
+  try {
+    // Streaming, so a character cut off at the end of the sample is fine
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return !/[\x01-\x08\x0e-\x1f\x7f]/.test(text);
+  } catch (error) {
+    return false;
+  }
+};
+
+// An MPEG audio frame header: sync bits, layer II or III and a valid
+// bitrate. Layer I is left out since its header matches a UTF-16 BOM.
+const isMpegFrame = (buffer) =>
+  buffer.length > 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0
+  && [0x02, 0x04].includes(buffer[1] & 0x06) && (buffer[2] & 0xf0) !== 0xf0;
+
+// Detect a file's content type from its signature. Resolves to undefined
+// when the type isn't one we recognise.
+export const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+  if (ascii(buffer, 0, 3) === 'ID3' || isMpegFrame(buffer)) return 'audio/mpeg';
+
+  // ISO media files name their flavour in the ftyp box
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+    if (brand === 'M4A ') return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  return looksLikeText(buffer) ? 'text/plain' : undefined;
+};
+
+// Keep the name readable but safe to put in a header or on a disk
+const sanitizeFileName = (fileName) => {
+  const cleaned = String(fileName || '')
+    .replace(/[\\/]/g, '_')
+    .replace(/[\x00-\x1f\x7f"]/g, '')
+    .trim()
+    .slice(0, FILE_NAME_MAX_LENGTH);
+  return cleaned || 'attachment';
+};
+
+const isParticipant = (chat, userId) =>
+  chat.participants.some(id => id.toString() === userId.toString());
+
+const createStorageKey = () => {
+  const id = crypto.randomUUID();
+  return `${id.slice(0, 2)}/${id}`;
+};
+
+// Store an uploaded file for a chat. The kind is taken from the detected
+// type unless the client asks for one (e.g. an image sent as a file).
+export const createAttachment = async ({ chatId, uploaderId, buffer, fileName, kind }) => {
+  if (!buffer || buffer.length === 0) {
+    throw createAttachmentError('attachment/file-required', 'A file is required', 400);
+  }
+
+  if (kind !== undefined && !ATTACHMENT_KINDS.includes(kind)) {
+    throw createAttachmentError('attachment/invalid-kind', `kind must be one of: ${ATTACHMENT_KINDS.join(', ')}`, 400);
+  }
+
+  const chat = mongoose.Types.ObjectId.isValid(chatId) ? await Chat.findById(chatId) : null;
+  if (!chat || !chat.isActive || !isParticipant(chat, uploaderId)) {
+    throw createAttachmentError('attachment/access-denied', 'Access denied to chat', 403);
+  }
+
+  const mimeType = detectMimeType(buffer);
+  const resolvedKind = kind ?? ATTACHMENT_KINDS.find(candidate => ALLOWED_MIME_TYPES[candidate].includes(mimeType));
+  if (!mimeType || !resolvedKind || !ALLOWED_MIME_TYPES[resolvedKind].includes(mimeType)) {
+    throw createAttachmentError(
+      'attachment/unsupported-type',
+      kind ? `This file type can't be sent as ${kind === 'file' ? 'a file' : `an ${kind}`}` : 'This file type is not supported',
+      415
+    );
+  }
+
+  const maxSize = getAttachmentSizeLimits()[resolvedKind];
+  if (buffer.length > maxSize) {
+    throw createAttachmentError(
+      'attachment/too-large',
+      `File too large (max ${Math.floor(maxSize / MB)} MB for ${resolvedKind === 'file' ? 'files' : `${resolvedKind}s`})`,
+      413
+    );
+  }
+
+  const driver = getStorageDriver();
+  const storageKey = createStorageKey();
+  await driver.save(storageKey, buffer);
+
+  try {
+    return await Attachment.create({
+      uploader: uploaderId,
+      chatId: chat._id,
+      kind: resolvedKind,
+      fileName: sanitizeFileName(fileName),
+      mimeType,
+      size: buffer.length,
+      storageDriver: driver.name,
+      storageKey
+    });
+  } catch (error) {
+    await driver.remove(storageKey);
+    throw error;
+  }
+};
+
+// Find an attachment the user may download: unsent uploads only by their
+// uploader, sent ones by participants who can still see the message
+export const findAccessibleAttachment = async (attachmentId, userId) => {
+  const attachment = mongoose.Types.ObjectId.isValid(attachmentId) ? await Attachment.findById(attachmentId) : null;
+  if (!attachment) {
+    throw createAttachmentError('attachment/not-found', 'Attachment not found', 404);
+  }
+
+  const chat = await Chat.findById(attachment.chatId);
+  if (!chat || !isParticipant(chat, userId)) {
+    throw createAttachmentError('attachment/access-denied', 'Access denied to this attachment', 403);
+  }
+
+  if (!attachment.isSent()) {
+    if (attachment.uploader.toString() !== userId.toString()) {
+      throw createAttachmentError('attachment/not-found', 'Attachment not found', 404);
+    }
+    return attachment;
+  }
+
+  const message = await Message.findById(attachment.message).select('isDeleted hiddenFor createdAt');
+  if (!message || message.isDeleted || !message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+    throw createAttachmentError('attachment/not-found', 'Attachment not found', 404);
+  }
+
+  return attachment;
+};
+
+// Create a signed download path for one user. The link works until it
+// expires, and only while that user can still see the attachment.
+export const createAttachmentUrl = (attachment, userId) => {
+  const expiresAt = new Date(Date.now() + getUrlTtlMinutes() * 60 * 1000);
+  const token = jwt.sign(
+    {
+      attachmentId: attachment._id,
+      userId,
+      type: 'attachment-download',
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    },
+    process.env.JWT_SECRET
+  );
+
+  return {
+    path: `/api/attachments/${attachment._id}/download?token=${token}`,
+    expiresAt
+  };
+};
+
+// Check a download token for the given attachment. Resolves to the user it
+// was issued to, or null if it's invalid or has expired.
+export const verifyAttachmentToken = (token, attachmentId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'attachment-download' || decoded.attachmentId !== attachmentId.toString()) {
+      return null;
+    }
+    return decoded.userId;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Open a stored file for streaming
+export const openAttachmentStream = (attachment) => getStorageDriver().createReadStream(attachment.storageKey);
+
+// Claim an unsent upload of the given kind for a new message. Only the
+// uploader can send it, only in the chat it was uploaded to, and only
+// once. Resolves to null if the upload can't be claimed.
+export const claimAttachment = ({ attachmentId, kind, chatId, senderId, messageId }) => {
+  if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+    return null;
+  }
+  return Attachment.findOneAndUpdate(
+    { _id: attachmentId, kind, uploader: senderId, chatId, message: null },
+    { $set: { message: messageId } },
+    { new: true }
+  );
+};
+
+// Give a claimed upload back, when the message that claimed it wasn't saved
+export const releaseAttachment = (attachmentId, messageId) => {
+  return Attachment.updateOne({ _id: attachmentId, message: messageId }, { $set: { message: null } });
+};
+
+// Copy an attachment into another chat, e.g. when forwarding. The copy has
+// its own file so deleting either message leaves the other intact.
+export const copyAttachment = async (attachmentId, { chatId, uploaderId }) => {
+  const source = await Attachment.findById(attachmentId);
+  if (!source) {
+    throw createAttachmentError('attachment/not-found', 'Attachment not found', 404);
+  }
+
+  const driver = getStorageDriver();
+  const storageKey = createStorageKey();
+  await driver.copy(source.storageKey, storageKey);
+
+  try {
+    return await Attachment.create({
+      uploader: uploaderId,
+      chatId,
+      kind: source.kind,
+      fileName: source.fileName,
+      mimeType: source.mimeType,
+      size: source.size,
+      storageDriver: driver.name,
+      storageKey
+    });
+  } catch (error) {
+    await driver.remove(storageKey);
+    throw error;
+  }
+};
+
+// Delete stored files and their records
+const removeAttachments = async (attachments) => {
+  const driver = getStorageDriver();
+  for (const attachment of attachments) {
+    await driver.remove(attachment.storageKey);
+  }
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+};
+
+// Remove the files of messages that were deleted for everyone or purged
+export const removeAttachmentsForMessages = async (messageIds) => {
+  const attachments = await Attachment.find({ message: { $in: messageIds } }).select('storageKey');
+  await removeAttachments(attachments);
+};
+
+// Remove the given attachments if they were never sent, e.g. copies made
+// for a forward that failed
+export const removeUnsentAttachments = async (attachmentIds) => {
+  const attachments = await Attachment.find({ _id: { $in: attachmentIds }, message: null }).select('storageKey');
+  await removeAttachments(attachments);
+};
+
+// Remove a user's uploads that were never sent
+export const removeUnsentAttachmentsForUser = async (userId) => {
+  const attachments = await Attachment.find({ uploader: userId, message: null }).select('storageKey');
+  await removeAttachments(attachments);
+};
+
+// Remove uploads that were never sent in a message
+export const sweepUnsentAttachments = async () => {
+  const cutoff = new Date(Date.now() - getUnsentTtlHours() * 60 * 60 * 1000);
+  const attachments = await Attachment.find({ message: null, createdAt: { $lte: cutoff } }).select('storageKey');
+  await removeAttachments(attachments);
+  return attachments.length;
+};
+
+// Start the background sweep for unsent uploads
+export const startAttachmentCleanupJob = () => {
+  const run = () => sweepUnsentAttachments().catch(error => {
+    console.error('Attachment sweep error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
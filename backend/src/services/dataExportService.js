@@ -0,0 +1,234 @@
+import archiver from 'archiver';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import path from 'path';
+import Chat from '../models/Chat.js';
+import DataExport from '../models/DataExport.js';
+import Message from '../models/Message.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import StarredMessage from '../models/StarredMessage.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+const getExportPath = () => path.resolve(process.env.EXPORT_PATH || './exports');
+const getLinkTtlHours = () => parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 24;
+export const getExportCooldownHours = () => parseInt(process.env.EXPORT_COOLDOWN_HOURS) || 24;
+
+// Collect everything stored about a user, grouped into archive sections
+export const buildUserArchive = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('blockedUsers', 'name')
+    .lean();
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Reports filed against the user identify other people, so they stay out
+  const { reportedBy, blockedUsers, preferences, ...profile } = user;
+
+  const chats = await Chat.find({ participants: userId })
+    .populate('participants', 'name')
+    .select('type participants metadata settings isActive createdAt updatedAt')
+    .lean();
+
+  const messages = await Message.find({ sender: userId })
+    .select('chatId content messageType metadata replyTo forwardedFrom isEdited editHistory isDeleted deletedAt createdAt updatedAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const reactedMessages = await Message.find({ 'reactions.user': userId })
+    .select('chatId reactions')
+    .lean();
+
+  const reactions = reactedMessages.flatMap(message => message.reactions
+    .filter(reaction => reaction.user.toString() === userId.toString())
+    .map(reaction => ({
+      messageId: message._id,
+      chatId: message.chatId,
+      emoji: reaction.emoji,
+      reactedAt: reaction.reactedAt
+    })));
+
+  const reportedUsers = await User.find({ 'reportedBy.user': userId })
+    .select('name reportedBy')
+    .lean();
+
+  const reports = reportedUsers.flatMap(reportedUser => reportedUser.reportedBy
+    .filter(report => report.user.toString() === userId.toString())
+    .map(report => ({
+      reportedUser: { id: reportedUser._id, name: reportedUser.name },
+      reason: report.reason,
+      reportedAt: report.reportedAt
+    })));
+
+  const scheduledMessages = await ScheduledMessage.find({ sender: userId })
+    .select('chatId content messageType metadata replyTo sendAt status sentAt createdAt')
+    .sort({ sendAt: 1 })
+    .lean();
+
+  const starredMessages = await StarredMessage.find({ user: userId })
+    .select('message chatId createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const sessions = await Session.find({ user: userId })
+    .select('device lastIp lastActiveAt createdAt revokedAt revokedReason')
+    .lean();
+
+  return {
+    profile,
+    preferences,
+    blockedUsers: blockedUsers.map(blocked => ({ id: blocked._id, name: blocked.name })),
+    chats: chats.map(chat => ({
+      ...chat,
+      participants: chat.participants.map(participant => ({ id: participant._id, name: participant.name }))
+    })),
+    messages,
+    scheduledMessages,
+    starredMessages,
+    reactions,
+    reports,
+    sessions
+  };
+};
+
+const writeJsonArchive = (filePath, sections) => {
+  const exportData = {
+    ...sections,
+    exportDate: new Date().toISOString(),
+    version: '1.0.0'
+  };
+  return fs.promises.writeFile(filePath, JSON.stringify(exportData, null, 2));
+};
+
+const writeZipArchive = (filePath, sections) => {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+
+    Object.entries(sections).forEach(([name, data]) => {
+      archive.append(JSON.stringify(data, null, 2), { name: `${name}.json` });
+    });
+    archive.append(JSON.stringify({ exportDate: new Date().toISOString(), version: '1.0.0' }, null, 2), {
+      name: 'export-info.json'
+    });
+
+    archive.finalize();
+  });
+};
+
+// Build the archive for an export request and store it on disk
+export const processExport = async (exportId) => {
+  // Claim the export atomically so it is only built once
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) {
+    return;
+  }
+
+  try {
+    const sections = await buildUserArchive(dataExport.user);
+
+    await fs.promises.mkdir(getExportPath(), { recursive: true });
+    const filePath = path.join(getExportPath(), `textsy-export-${dataExport._id}.${dataExport.format}`);
+
+    if (dataExport.format === 'zip') {
+      await writeZipArchive(filePath, sections);
+    } else {
+      await writeJsonArchive(filePath, sections);
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const expiresAt = new Date(Date.now() + getLinkTtlHours() * 60 * 60 * 1000);
+
+    await dataExport.markReady(filePath, size, expiresAt);
+    console.log(`📦 Data export ${dataExport._id} ready (${size} bytes)`);
+  } catch (error) {
+    console.error(`Data export ${dataExport._id} failed:`, error);
+    await dataExport.markFailed(error);
+  }
+};
+
+// Queue a new export for a user. Building runs in the background.
+export const requestExport = async (userId, format = 'json') => {
+  const dataExport = await DataExport.create({ user: userId, format });
+
+  setImmediate(() => {
+    processExport(dataExport._id).catch(error => {
+      console.error('Data export processing error:', error);
+    });
+  });
+
+  return dataExport;
+};
+
+// Create a signed download link token that expires with the export
+export const createDownloadToken = (dataExport) => {
+  return jwt.sign(
+    {
+      exportId: dataExport._id,
+      type: 'export-download',
+      exp: Math.floor(dataExport.expiresAt.getTime() / 1000)
+    },
+    process.env.JWT_SECRET
+  );
+};
+
+// Check that a download token was issued for the given export
+export const verifyDownloadToken = (token, exportId) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'export-download' && decoded.exportId === exportId.toString();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Remove expired archives and resume exports interrupted by a restart
+export const sweepExports = async () => {
+  const expiredExports = await DataExport.find({
+    status: 'ready',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const dataExport of expiredExports) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+
+  // Exports still processing after an hour were cut off by a restart
+  await DataExport.updateMany(
+    { status: 'processing', startedAt: { $lte: new Date(Date.now() - SWEEP_INTERVAL_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const pendingExports = await DataExport.find({ status: 'pending' }).select('_id');
+  for (const { _id } of pendingExports) {
+    await processExport(_id);
+  }
+};
+
+// Start the background sweep for data exports
+export const startDataExportJob = () => {
+  const run = () => sweepExports().catch(error => {
+    console.error('Data export sweep error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
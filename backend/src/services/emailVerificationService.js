@@ -0,0 +1,114 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { sendMail } from './mail/index.js';
+
+// Verification links carry a signed token bound to the address it was sent
+// to, so changing the email invalidates any link already in flight.
+const getTokenTtlHours = () => parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const getResendCooldownSeconds = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+const getLinkBase = () => process.env.EMAIL_VERIFICATION_LINK_BASE || 'textsy://verify-email';
+
+const createVerificationError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Create a signed, expiring verification token for the user's current email
+export const createVerificationToken = (user) => {
+  return jwt.sign(
+    { uid: user._id, email: user.email, type: 'email-verification' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${getTokenTtlHours()}h` }
+  );
+};
+
+// Email a verification link, at most once per resend cooldown
+export const sendVerificationEmail = async (user) => {
+  if (user.isVerified) {
+    throw createVerificationError('verification/already-verified', 'Email is already verified', 400);
+  }
+
+  if (!user.email) {
+    throw createVerificationError('verification/no-email', 'No email address on this account', 400);
+  }
+
+  // Claim the send atomically so concurrent requests can't both send. The
+  // account as it was before the claim is kept to undo it if sending fails.
+  const cooldownMs = getResendCooldownSeconds() * 1000;
+  const sentAt = new Date();
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { emailVerificationSentAt: null },
+        { emailVerificationSentAt: { $lte: new Date(Date.now() - cooldownMs) } }
+      ]
+    },
+    { $set: { emailVerificationSentAt: sentAt } }
+  );
+  if (!claimed) {
+    const error = createVerificationError(
+      'verification/throttled',
+      'A verification email was sent recently. Please try again later.',
+      429
+    );
+    if (user.emailVerificationSentAt) {
+      error.retryAfter = new Date(user.emailVerificationSentAt.getTime() + cooldownMs);
+    }
+    throw error;
+  }
+
+  const token = createVerificationToken(claimed);
+  const link = `${getLinkBase()}?token=${encodeURIComponent(token)}`;
+
+  try {
+    await sendMail({
+      to: claimed.email,
+      subject: 'Verify your Textsy email address',
+      text: `Hi ${claimed.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in ${getTokenTtlHours()} hours. If you didn't create a Textsy account, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(claimed.name)},</p><p>Confirm your email address by opening this link:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${getTokenTtlHours()} hours. If you didn't create a Textsy account, you can ignore this email.</p>`
+    });
+  } catch (error) {
+    // Nothing was sent, so don't hold the user to the cooldown
+    const previousSentAt = claimed.emailVerificationSentAt;
+    await User.updateOne(
+      { _id: claimed._id, emailVerificationSentAt: sentAt },
+      previousSentAt ? { $set: { emailVerificationSentAt: previousSentAt } } : { $unset: { emailVerificationSentAt: '' } }
+    );
+    throw error;
+  }
+
+  claimed.emailVerificationSentAt = sentAt;
+  return claimed;
+};
+
+// Mark the account verified if the token is valid for its current email
+export const verifyEmailToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createVerificationError('verification/invalid-token', 'Verification link is invalid or has expired', 400);
+  }
+
+  if (decoded.type !== 'email-verification') {
+    throw createVerificationError('verification/invalid-token', 'Verification link is invalid or has expired', 400);
+  }
+
+  const user = await User.findById(decoded.uid);
+  if (!user || user.isDeleted || user.email !== decoded.email) {
+    throw createVerificationError('verification/invalid-token', 'Verification link is invalid or has expired', 400);
+  }
+
+  if (!user.isVerified) {
+    await user.markEmailVerified().save();
+  }
+
+  return user;
+};
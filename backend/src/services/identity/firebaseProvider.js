@@ -0,0 +1,43 @@
+import admin, { initializeFirebase } from '../../config/firebase.js';
+
+// Map Firebase user records and decoded tokens to the provider-neutral shape
+const toIdentity = (record) => ({
+  uid: record.uid,
+  email: record.email,
+  name: record.name || record.displayName,
+  picture: record.picture || record.photoURL,
+  emailVerified: Boolean(record.email_verified ?? record.emailVerified)
+});
+
+// Identity provider backed by Firebase Authentication
+export const createFirebaseProvider = () => {
+  initializeFirebase();
+
+  return {
+    name: 'firebase',
+
+    // Verify a Firebase ID token, rejecting tokens issued before a revoke
+    verifyIdToken: async (idToken) => {
+      const decodedToken = await admin.auth().verifyIdToken(idToken, true);
+      return toIdentity(decodedToken);
+    },
+
+    // Revoke every refresh token Firebase issued for the user
+    revoke: async (uid) => {
+      await admin.auth().revokeRefreshTokens(uid);
+    },
+
+    // Look up a user, or null if Firebase doesn't know them
+    lookupUser: async (uid) => {
+      try {
+        const record = await admin.auth().getUser(uid);
+        return toIdentity(record);
+      } catch (error) {
+        if (error.code === 'auth/user-not-found') {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+};
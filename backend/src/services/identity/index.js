@@ -0,0 +1,38 @@
+import { createFirebaseProvider } from './firebaseProvider.js';
+import { createStubProvider } from './stubProvider.js';
+
+// Every identity provider exposes the same interface:
+//   name                    - provider identifier
+//   verifyIdToken(idToken)  - resolves to { uid, email, name, picture, emailVerified }
+//                             or rejects with a Firebase-style `auth/...` error code
+//   revoke(uid)             - invalidates every ID token issued so far for the user
+//   lookupUser(uid)         - resolves to the same identity shape, or null
+const providers = {
+  firebase: createFirebaseProvider,
+  stub: createStubProvider
+};
+
+let identityProvider = null;
+
+// Get the identity provider selected by IDENTITY_PROVIDER (default: firebase)
+export const getIdentityProvider = () => {
+  if (identityProvider) {
+    return identityProvider;
+  }
+
+  const providerName = process.env.IDENTITY_PROVIDER || 'firebase';
+  const createProvider = providers[providerName];
+
+  if (!createProvider) {
+    throw new Error(`Unknown identity provider: ${providerName}`);
+  }
+
+  if (providerName === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub identity provider cannot be used in production');
+  }
+
+  identityProvider = createProvider();
+  console.log(`✅ Identity provider initialized: ${identityProvider.name}`);
+
+  return identityProvider;
+};
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const STUB_ISSUER = 'textsy-stub-identity';
+
+const createProviderError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Offline identity provider for development and tests. It signs its own ID
+// tokens with a local secret and keeps users in memory, so the full auth
+// flow works without network access or a Firebase project.
+export const createStubProvider = () => {
+  const secret = process.env.IDENTITY_STUB_SECRET || 'textsy-stub-identity-secret';
+  const users = new Map();
+  const revokedAt = new Map();
+
+  return {
+    name: 'stub',
+
+    // Sign a test ID token. Unknown users are registered on the fly.
+    createIdToken: ({ uid = crypto.randomUUID(), email, name, picture, expiresIn = '1h' } = {}) => {
+      const identity = {
+        uid,
+        email: email || `${uid}@textsy.local`,
+        name: name || 'Test User',
+        picture,
+        emailVerified: true
+      };
+      users.set(uid, identity);
+
+      return jwt.sign(
+        { email: identity.email, name: identity.name, picture: identity.picture },
+        secret,
+        { subject: uid, issuer: STUB_ISSUER, expiresIn }
+      );
+    },
+
+    verifyIdToken: async (idToken) => {
+      let decoded;
+      try {
+        decoded = jwt.verify(idToken, secret, { issuer: STUB_ISSUER });
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          throw createProviderError('auth/id-token-expired', 'ID token has expired');
+        }
+        throw createProviderError('auth/argument-error', 'Invalid ID token');
+      }
+
+      const revokedTime = revokedAt.get(decoded.sub);
+      if (revokedTime && decoded.iat * 1000 < revokedTime) {
+        throw createProviderError('auth/id-token-revoked', 'ID token has been revoked');
+      }
+
+      return users.get(decoded.sub) || {
+        uid: decoded.sub,
+        email: decoded.email,
+        name: decoded.name,
+        picture: decoded.picture,
+        emailVerified: true
+      };
+    },
+
+    // Reject every token issued before now. Token `iat` has one-second
+    // resolution, so round up to the next second.
+    revoke: async (uid) => {
+      revokedAt.set(uid, Math.ceil(Date.now() / 1000) * 1000);
+    },
+
+    lookupUser: async (uid) => {
+      return users.get(uid) || null;
+    }
+  };
+};
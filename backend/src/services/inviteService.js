@@ -0,0 +1,105 @@
+import Chat from '../models/Chat.js';
+import ChatInvite from '../models/ChatInvite.js';
+import User from '../models/User.js';
+import { sendToChat } from './socketService.js';
+
+// Links open the app through its URL scheme unless a web host is configured
+const getInviteLinkBase = () => process.env.INVITE_LINK_BASE || 'textsy://invite';
+
+const createInviteError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const getInviteUrl = (code) => `${getInviteLinkBase().replace(/\/$/, '')}/${code}`;
+
+// Shape an invite for API responses
+export const formatInvite = (invite) => ({
+  id: invite._id,
+  code: invite.code,
+  url: getInviteUrl(invite.code),
+  chatId: invite.chat?._id || invite.chat,
+  createdBy: invite.createdBy,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  revokedAt: invite.revokedAt,
+  isUsable: invite.isUsable,
+  createdAt: invite.createdAt
+});
+
+// Look up an invite and its group, rejecting links that can no longer be
+// used. Links stop working once their creator may no longer manage
+// invites, e.g. after leaving the group or losing their admin role.
+export const findUsableInvite = async (code) => {
+  const invite = await ChatInvite.findOne({ code }).populate('chat');
+
+  if (!invite || !invite.chat || !invite.chat.isActive || invite.chat.type !== 'group') {
+    throw createInviteError('invite/not-found', 'Invite not found', 404);
+  }
+
+  if (!invite.isUsable || !invite.chat.hasPermission(invite.createdBy, 'manageInvites')) {
+    throw createInviteError('invite/expired', 'This invite link has expired or been revoked', 410);
+  }
+
+  if (!invite.chat.settings.allowInvites) {
+    throw createInviteError('invite/disabled', 'This group is not accepting invites', 403);
+  }
+
+  return invite;
+};
+
+// Add a user to a group through an invite code
+export const joinChatWithInvite = async (io, userId, code) => {
+  const invite = await findUsableInvite(code);
+  const chat = invite.chat;
+
+  if (chat.participants.some(id => id.toString() === userId.toString())) {
+    return { chat, alreadyMember: true };
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createInviteError('invite/user-not-found', 'User not found', 404);
+  }
+
+  if (user.isBanned && (!user.banExpiresAt || user.banExpiresAt > new Date())) {
+    throw createInviteError('invite/banned', 'Your account is suspended', 403);
+  }
+
+  // Removed members need an admin to add them back
+  if (chat.wasRemoved(user._id)) {
+    throw createInviteError('invite/removed', 'You were removed from this group', 403);
+  }
+
+  // Neither the person who shared the link nor the group owner may have
+  // blocked the joining user
+  const ownerId = chat.participants.find(id => chat.getRole(id) === 'owner');
+  const isBlocked = await User.exists({
+    _id: { $in: [invite.createdBy, ownerId].filter(Boolean) },
+    blockedUsers: user._id
+  });
+  if (isBlocked) {
+    throw createInviteError('invite/blocked', 'You cannot join this group', 403);
+  }
+
+  const claimedInvite = await ChatInvite.claimUse(invite._id);
+  if (!claimedInvite) {
+    throw createInviteError('invite/expired', 'This invite link has expired or been revoked', 410);
+  }
+
+  const updatedChat = await Chat.findById(chat._id);
+  await updatedChat.addParticipant(user._id);
+
+  if (io) {
+    sendToChat(io, updatedChat._id, 'participant-joined', {
+      chatId: updatedChat._id,
+      userId: user._id,
+      inviteId: invite._id
+    });
+  }
+
+  return { chat: updatedChat, alreadyMember: false };
+};
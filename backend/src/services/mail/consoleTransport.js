@@ -0,0 +1,11 @@
+// Development transport that prints each email to the server log
+export const createConsoleTransport = () => {
+  return {
+    name: 'console',
+
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+      return { id: `console-${Date.now()}` };
+    }
+  };
+};
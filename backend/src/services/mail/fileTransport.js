@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Development transport that writes each email to a JSON file in an outbox
+// directory, so messages (and the links inside them) can be inspected
+// without a mail server
+export const createFileTransport = () => {
+  const outboxPath = path.resolve(process.env.MAIL_OUTBOX_PATH || './mail-outbox');
+
+  return {
+    name: 'file',
+
+    send: async ({ to, subject, text, html }) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const filePath = path.join(outboxPath, `${id}.json`);
+
+      await fs.promises.mkdir(outboxPath, { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        id,
+        from: process.env.MAIL_FROM || 'Textsy <no-reply@textsy.local>',
+        to,
+        subject,
+        text,
+        html,
+        sentAt: new Date().toISOString()
+      }, null, 2));
+
+      console.log(`📧 Email to ${to} written to ${filePath}`);
+      return { id };
+    }
+  };
+};
@@ -0,0 +1,39 @@
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+
+// Every mail transport exposes the same interface:
+//   name                                - transport identifier
+//   send({ to, subject, text, html })   - delivers one email and resolves to { id }
+// Register additional transports (SMTP, an email API) here.
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let mailTransport = null;
+
+// Get the mail transport selected by MAIL_TRANSPORT (default: console)
+export const getMailTransport = () => {
+  if (mailTransport) {
+    return mailTransport;
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const createTransport = transports[transportName];
+
+  if (!createTransport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(transportName)) {
+    console.warn(`⚠️ Mail transport "${transportName}" does not deliver email; configure a real transport for production`);
+  }
+
+  mailTransport = createTransport();
+  console.log(`✅ Mail transport initialized: ${mailTransport.name}`);
+
+  return mailTransport;
+};
+
+// Send an email through the configured transport
+export const sendMail = (message) => getMailTransport().send(message);
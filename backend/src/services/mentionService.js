@@ -0,0 +1,62 @@
+import User from '../models/User.js';
+
+// Characters that can continue a name, so "@Sam" doesn't match in "@Samantha"
+const NAME_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Find which of the given users are @mentioned in the content. Names are
+// matched case-insensitively and may contain spaces; where names overlap
+// ("@Alex" and "@Alex Chen") the longest match wins.
+export const findMentionedUsers = (content, users) => {
+  const lowerContent = content.toLowerCase();
+  const candidates = users
+    .filter(user => user.name)
+    .map(user => ({ id: user._id, name: user.name.toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+
+  const mentioned = new Map();
+  let index = lowerContent.indexOf('@');
+  while (index !== -1) {
+    // An @ inside a word is an email address, not a mention
+    const startsMention = index === 0 || !NAME_CHARACTER.test(lowerContent[index - 1]);
+    const match = startsMention && candidates.find(candidate => {
+      const end = index + 1 + candidate.name.length;
+      return lowerContent.startsWith(candidate.name, index + 1)
+        && (end === lowerContent.length || !NAME_CHARACTER.test(lowerContent[end]));
+    });
+    if (match) {
+      mentioned.set(match.id.toString(), match.id);
+    }
+    index = lowerContent.indexOf('@', index + 1);
+  }
+
+  return [...mentioned.values()];
+};
+
+// Resolve @mentions in a group message against the chat's other
+// participants. Resolves to the mentioned user IDs.
+export const resolveMentions = async (chat, senderId, content) => {
+  if (chat.type !== 'group' || !content.includes('@')) {
+    return [];
+  }
+
+  const otherIds = chat.participants.filter(id => id.toString() !== senderId.toString());
+  const participants = await User.find({ _id: { $in: otherIds } }).select('name');
+  return findMentionedUsers(content, participants);
+};
+
+// Tell each mentioned user directly. This goes to the user's own room
+// rather than the chat's, so it arrives whatever they have done with the chat.
+// Pass `userIds` to notify only some of them, e.g. those an edit added.
+export const notifyMentions = (io, chat, message, formattedMessage, userIds = message.mentions) => {
+  if (!io) {
+    return;
+  }
+
+  userIds.forEach(userId => {
+    io.to(`user:${userId}`).emit('mention', {
+      chatId: chat._id,
+      message: formattedMessage,
+      unreadMentions: chat.unreadMentionCounts.get(userId.toString()) || 0
+    });
+  });
+};
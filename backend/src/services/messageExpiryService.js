@@ -0,0 +1,129 @@
+import Chat, { MESSAGE_EXPIRY_DURATIONS } from '../models/Chat.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { removeAttachmentsForMessages } from './attachmentService.js';
+import { postSystemNotice, refreshUnreadCounts, updateThreadSummary } from './messageService.js';
+import { removePinsForMessages } from './pinService.js';
+import { removeStarsForMessages } from './starService.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+const PURGE_BATCH_SIZE = 500;
+
+export const MESSAGE_EXPIRY_OPTIONS = Object.keys(MESSAGE_EXPIRY_DURATIONS);
+
+const EXPIRY_LABELS = {
+  '1h': '1 hour',
+  '24h': '24 hours',
+  '7d': '7 days'
+};
+
+// Tell the chat that its disappearing-message timer changed
+export const announceMessageExpiryChange = async (io, chat, actorId) => {
+  const actor = await User.findById(actorId).select('name');
+  const name = actor?.name || 'Someone';
+  const expiry = chat.settings.messageExpiry;
+
+  const content = expiry === 'off'
+    ? `${name} turned off disappearing messages`
+    : `${name} turned on disappearing messages. New messages will disappear ${EXPIRY_LABELS[expiry]} after they're sent.`;
+
+  return postSystemNotice(io, {
+    chatId: chat._id,
+    actorId,
+    content,
+    metadata: { systemEvent: 'message-expiry-changed', messageExpiry: expiry }
+  });
+};
+
+// Point a chat's lastMessage at its newest remaining message after purging
+const repairLastMessage = async (chatId, purgedIds) => {
+  const latest = await Message.findOne({ chatId }).sort({ createdAt: -1 }).select('_id');
+  await Chat.updateOne(
+    { _id: chatId, lastMessage: { $in: purgedIds } },
+    latest ? { $set: { lastMessage: latest._id } } : { $unset: { lastMessage: '' } }
+  );
+};
+
+// Delete one batch of expired messages and tell each chat which to drop.
+// Resolves to the number of messages purged.
+const purgeBatch = async (io) => {
+  const expired = await Message.find({ expiresAt: { $lte: new Date() } })
+    .select('chatId threadRoot sender isDeleted readBy.user')
+    .limit(PURGE_BATCH_SIZE);
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  const expiredIds = expired.map(message => message._id);
+  await Message.deleteMany({ _id: { $in: expiredIds } });
+  await removeStarsForMessages(expiredIds);
+  await removeAttachmentsForMessages(expiredIds);
+
+  const idsByChat = new Map();
+  const repliesByRoot = new Map();
+  expired.forEach(message => {
+    const chatId = message.chatId.toString();
+    if (!idsByChat.has(chatId)) {
+      idsByChat.set(chatId, []);
+    }
+    idsByChat.get(chatId).push(message._id);
+
+    if (message.threadRoot) {
+      const rootId = message.threadRoot.toString();
+      if (!repliesByRoot.has(rootId)) {
+        repliesByRoot.set(rootId, { chatId, replyIds: [] });
+      }
+      repliesByRoot.get(rootId).replyIds.push(message._id);
+    }
+  });
+
+  for (const [chatId, messageIds] of idsByChat) {
+    await removePinsForMessages(io, chatId, messageIds);
+    await repairLastMessage(chatId, messageIds);
+    io?.to(`chat:${chatId}`).emit('messages-expired', { chatId, messageIds });
+
+    // Only participants who hadn't read an expired message see their count change
+    const chat = await Chat.findById(chatId).select('participants');
+    const expiredInChat = expired.filter(message => message.chatId.toString() === chatId);
+    const affectedIds = (chat?.participants || [])
+      .filter(participantId => expiredInChat.some(message => message.isUnreadBy(participantId)));
+    for (const participantId of affectedIds) {
+      await refreshUnreadCounts(io, chatId, participantId);
+    }
+  }
+
+  // Threads whose root survived lose the expired replies from their summary,
+  // which is recounted from the replies that remain
+  const expiredIdSet = new Set(expiredIds.map(id => id.toString()));
+  for (const [rootId, { chatId, replyIds }] of repliesByRoot) {
+    if (!expiredIdSet.has(rootId)) {
+      await updateThreadSummary(io, chatId, rootId, { removedReplyIds: replyIds });
+    }
+  }
+
+  return expired.length;
+};
+
+// Purge every message whose disappearing-message timer has run out
+export const purgeExpiredMessages = async (io) => {
+  let total = 0;
+  let purged;
+  do {
+    purged = await purgeBatch(io);
+    total += purged;
+  } while (purged === PURGE_BATCH_SIZE);
+  return total;
+};
+
+// Start the background sweep for disappearing messages
+export const startMessageExpiryJob = (io) => {
+  const run = () => purgeExpiredMessages(io).catch(error => {
+    console.error('Message expiry sweep error:', error);
+  });
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
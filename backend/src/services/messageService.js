@@ -0,0 +1,657 @@
+import mongoose from 'mongoose';
+import Attachment from '../models/Attachment.js';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import {
+  ATTACHMENT_KINDS,
+  claimAttachment,
+  copyAttachment,
+  releaseAttachment,
+  removeUnsentAttachments
+} from './attachmentService.js';
+import { notifyMentions, resolveMentions } from './mentionService.js';
+
+export const MESSAGE_MAX_LENGTH = 1000;
+
+// How long after sending a message its sender may delete it for everyone
+export const getDeleteForEveryoneWindowHours = () => parseInt(process.env.DELETE_FOR_EVERYONE_WINDOW_HOURS) || 48;
+
+// Limits for a single forward request
+export const FORWARD_MAX_MESSAGES = 20;
+export const FORWARD_MAX_TARGETS = 5;
+
+// Client message IDs are generated on the device before sending, so a retry
+// after a dropped connection or lost ack resolves to the original message
+// instead of creating a duplicate.
+const CLIENT_MESSAGE_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const createMessageError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Shape a message for socket events
+export const formatSocketMessage = (message) => ({
+  id: message._id,
+  clientMessageId: message.clientMessageId,
+  chatId: message.chatId,
+  sender: message.sender,
+  content: message.content,
+  messageType: message.messageType,
+  replyTo: message.replyTo,
+  threadRoot: message.threadRoot,
+  forwardedFrom: message.forwardedFrom,
+  attachment: message.attachment,
+  mentions: message.mentions,
+  metadata: message.metadata,
+  expiresAt: message.expiresAt,
+  createdAt: message.createdAt,
+  updatedAt: message.updatedAt
+});
+
+// Find a message the sender already created with this client ID
+const findByClientMessageId = async (senderId, clientMessageId, chatId) => {
+  const existing = await Message.findOne({ sender: senderId, clientMessageId });
+  if (existing && existing.chatId.toString() !== chatId.toString()) {
+    throw createMessageError('message/client-id-conflict', 'Client message ID was already used in another chat', 409);
+  }
+  return existing;
+};
+
+// Recount a thread after a reply is added or removed and tell the chat room.
+// `change` describes what happened, e.g. { reply } or { removedReplyIds }.
+export const updateThreadSummary = async (io, chatId, rootId, change = {}) => {
+  const root = await Message.refreshThreadSummary(rootId);
+
+  if (io && root) {
+    io.to(`chat:${chatId}`).emit('thread-updated', {
+      chatId,
+      rootId,
+      replyCount: root.threadReplyCount,
+      lastReplyAt: root.threadLastReplyAt,
+      ...change
+    });
+  }
+
+  return root;
+};
+
+// Create a message in a chat, update the chat and notify its room. Resolves
+// to { message, duplicate }; `duplicate` is true when the client ID matched
+// a message that was already sent. `systemNotice` is for server-generated
+// notices only; clients can never send the 'system' type. Image, video,
+// audio and file messages send an uploaded attachment of that kind, with
+// `content` as an optional caption.
+export const sendChatMessage = async (io, {
+  chatId,
+  senderId,
+  content,
+  messageType = 'text',
+  replyTo,
+  metadata = {},
+  forwardedFrom,
+  attachmentId,
+  clientMessageId,
+  systemNotice = false
+}) => {
+  if ((messageType === 'system') !== systemNotice) {
+    throw createMessageError('message/invalid-type', 'Invalid message type', 400);
+  }
+
+  const hasAttachment = ATTACHMENT_KINDS.includes(messageType);
+  if (hasAttachment !== Boolean(attachmentId)) {
+    throw createMessageError(
+      'message/invalid-attachment',
+      hasAttachment ? `A ${messageType} message needs an uploaded attachment` : `A ${messageType} message can't have an attachment`,
+      400
+    );
+  }
+
+  // Content is a caption for attachments, so only they may leave it out
+  if ((content !== undefined && typeof content !== 'string') || (!hasAttachment && !content?.trim())) {
+    throw createMessageError('message/content-required', 'Message content is required', 400);
+  }
+
+  if (content?.length > MESSAGE_MAX_LENGTH) {
+    throw createMessageError('message/too-long', `Message too long (max ${MESSAGE_MAX_LENGTH} characters)`, 400);
+  }
+
+  if (clientMessageId !== undefined && !CLIENT_MESSAGE_ID_PATTERN.test(String(clientMessageId))) {
+    throw createMessageError('message/invalid-client-id', 'Client message ID must be 1-64 letters, digits, dashes or underscores', 400);
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat || !chat.isActive || !chat.participants.some(id => id.toString() === senderId.toString())) {
+    throw createMessageError('message/access-denied', 'Access denied to chat', 403);
+  }
+
+  if (clientMessageId) {
+    const existing = await findByClientMessageId(senderId, clientMessageId, chatId);
+    if (existing) {
+      return { message: existing, duplicate: true };
+    }
+  }
+
+  // Replies join the thread of the message they answer
+  let threadRoot;
+  if (replyTo) {
+    const parent = mongoose.Types.ObjectId.isValid(replyTo)
+      ? await Message.findOne({ _id: replyTo, chatId }).select('threadRoot')
+      : null;
+    if (!parent) {
+      throw createMessageError('message/reply-not-found', 'The message being replied to was not found in this chat', 400);
+    }
+    threadRoot = parent.threadRoot || parent._id;
+  }
+
+  // Notices and forwarded copies never notify anyone by name
+  const mentions = systemNotice || forwardedFrom || !content ? [] : await resolveMentions(chat, senderId, content);
+
+  // The message ID is known up front so the upload can be claimed for it
+  const messageId = new mongoose.Types.ObjectId();
+  let attachment;
+  if (hasAttachment) {
+    attachment = await claimAttachment({ attachmentId, kind: messageType, chatId, senderId, messageId });
+    if (!attachment) {
+      throw createMessageError('message/attachment-not-found', 'Attachment not found or already sent', 400);
+    }
+  }
+
+  const message = new Message({
+    _id: messageId,
+    chatId,
+    sender: senderId,
+    // Attachments without a caption show their file name
+    content: content?.trim() || attachment.fileName,
+    messageType,
+    attachment: attachment?._id,
+    replyTo,
+    threadRoot,
+    forwardedFrom,
+    mentions,
+    // File details come from the upload, not the client
+    metadata: attachment
+      ? {
+        duration: metadata.duration,
+        dimensions: metadata.dimensions,
+        fileName: attachment.fileName,
+        fileSize: attachment.size,
+        mimeType: attachment.mimeType
+      }
+      : metadata,
+    clientMessageId,
+    // Notices about the chat itself stay when other messages disappear
+    expiresAt: systemNotice ? undefined : chat.getMessageExpiryDate() ?? undefined,
+    readBy: [{ user: senderId }] // Sender has read the message
+  });
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (attachment) {
+      await releaseAttachment(attachment._id, messageId);
+    }
+
+    // A concurrent retry saved the same client ID first
+    if (error.code === 11000 && clientMessageId) {
+      const existing = await findByClientMessageId(senderId, clientMessageId, chatId);
+      if (existing) {
+        return { message: existing, duplicate: true };
+      }
+    }
+    throw error;
+  }
+
+  // Update the chat's last message and everyone else's unread count atomically
+  const unreadIncrements = {};
+  chat.participants
+    .filter(participantId => participantId.toString() !== senderId.toString())
+    .forEach(participantId => {
+      unreadIncrements[`unreadCounts.${participantId}`] = 1;
+    });
+  mentions.forEach(userId => {
+    unreadIncrements[`unreadMentionCounts.${userId}`] = 1;
+  });
+
+  const chatUpdate = { $set: { lastMessage: message._id, updatedAt: new Date() } };
+  if (Object.keys(unreadIncrements).length > 0) {
+    chatUpdate.$inc = unreadIncrements;
+  }
+  const updatedChat = await Chat.findByIdAndUpdate(chatId, chatUpdate, { new: true });
+
+  if (io) {
+    io.to(`chat:${chatId}`).emit('new-message', {
+      message: formatSocketMessage(message),
+      chatId
+    });
+
+    io.to(`chat:${chatId}`).emit('chat-updated', {
+      chatId,
+      lastMessage: formatSocketMessage(message),
+      unreadCounts: Object.fromEntries(updatedChat.unreadCounts),
+      unreadMentionCounts: Object.fromEntries(updatedChat.unreadMentionCounts)
+    });
+
+    notifyMentions(io, updatedChat, message, formatSocketMessage(message));
+  }
+
+  if (threadRoot) {
+    await updateThreadSummary(io, chatId, threadRoot, { reply: formatSocketMessage(message) });
+  }
+
+  return { message, duplicate: false };
+};
+
+// Post a notice about a change to the chat, attributed to the user who made it
+export const postSystemNotice = async (io, { chatId, actorId, content, metadata }) => {
+  const { message } = await sendChatMessage(io, {
+    chatId,
+    senderId: actorId,
+    content,
+    messageType: 'system',
+    metadata,
+    systemNotice: true
+  });
+  return message;
+};
+
+const isParticipant = (chat, userId) => {
+  return chat.participants.some(id => id.toString() === userId.toString());
+};
+
+// Copy messages into other chats the sender belongs to. Every message and
+// target is checked, and every file copied, before anything is sent, so a
+// bad ID or a missing file forwards nothing. Resolves to
+// [{ chatId, messages }] in target order.
+export const forwardMessages = async (io, { senderId, messageIds, targetChatIds }) => {
+  const uniqueMessageIds = [...new Set((messageIds || []).map(String))];
+  const uniqueTargetIds = [...new Set((targetChatIds || []).map(String))];
+
+  if (uniqueMessageIds.length === 0 || uniqueTargetIds.length === 0) {
+    throw createMessageError('message/forward-invalid', 'Select at least one message and one chat', 400);
+  }
+
+  if (uniqueMessageIds.length > FORWARD_MAX_MESSAGES || uniqueTargetIds.length > FORWARD_MAX_TARGETS) {
+    throw createMessageError(
+      'message/forward-limit',
+      `You can forward up to ${FORWARD_MAX_MESSAGES} messages to ${FORWARD_MAX_TARGETS} chats at a time`,
+      400
+    );
+  }
+
+  if (![...uniqueMessageIds, ...uniqueTargetIds].every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw createMessageError('message/forward-invalid', 'Invalid message or chat ID', 400);
+  }
+
+  // Sources must be visible to the sender: in their chats, not deleted or
+  // cleared on their side and not expired. Forward them in their original order.
+  const sources = await Message.find({ _id: { $in: uniqueMessageIds }, isDeleted: false })
+    .sort({ createdAt: 1, _id: 1 });
+  const sourceChats = await Chat.find({ _id: { $in: [...new Set(sources.map(source => source.chatId.toString()))] } });
+  const readableChats = new Map(sourceChats
+    .filter(chat => isParticipant(chat, senderId))
+    .map(chat => [chat._id.toString(), chat]));
+  const isReadable = (source) => {
+    const chat = readableChats.get(source.chatId.toString());
+    return Boolean(chat) && !source.isExpired() && source.isVisibleTo(senderId, chat.getClearedAt(senderId));
+  };
+
+  if (sources.length !== uniqueMessageIds.length || !sources.every(isReadable)) {
+    throw createMessageError('message/not-found', 'One or more messages could not be found', 404);
+  }
+
+  if (sources.some(source => source.messageType === 'system')) {
+    throw createMessageError('message/forward-invalid', 'Chat notices cannot be forwarded', 400);
+  }
+
+  // Files are copied per target, so check every one is still stored before
+  // anything is sent; older image and file messages may have none
+  const attachmentIds = sources.filter(source => source.attachment).map(source => source.attachment);
+  const storedAttachments = attachmentIds.length > 0
+    ? await Attachment.countDocuments({ _id: { $in: attachmentIds } })
+    : 0;
+  const missingAttachment = sources.some(source => ATTACHMENT_KINDS.includes(source.messageType) && !source.attachment);
+  if (missingAttachment || storedAttachments !== attachmentIds.length) {
+    throw createMessageError('message/forward-invalid', 'One or more attachments are no longer available to forward', 400);
+  }
+
+  const targets = await Chat.find({ _id: { $in: uniqueTargetIds }, isActive: true });
+  if (targets.length !== uniqueTargetIds.length || targets.some(chat => !isParticipant(chat, senderId))) {
+    throw createMessageError('message/access-denied', 'Access denied to one or more chats', 403);
+  }
+
+  // No forwarding into a direct chat where either side has blocked the other
+  const sender = await User.findById(senderId).select('blockedUsers');
+  const directPartnerIds = targets
+    .filter(chat => chat.type === 'direct')
+    .flatMap(chat => chat.participants.filter(id => id.toString() !== senderId.toString()));
+  const senderBlocked = new Set((sender?.blockedUsers || []).map(id => id.toString()));
+  const blockedBySender = directPartnerIds.some(id => senderBlocked.has(id.toString()));
+  const blockedByPartner = directPartnerIds.length > 0 && await User.exists({
+    _id: { $in: directPartnerIds },
+    blockedUsers: senderId
+  });
+  if (blockedBySender || blockedByPartner) {
+    throw createMessageError('message/blocked', 'You cannot send messages to one or more of these chats', 403);
+  }
+
+  // Each forwarded copy gets its own file in the target chat. Copies that
+  // end up unsent are removed if anything fails.
+  const orderedTargets = uniqueTargetIds.map(id => targets.find(chat => chat._id.toString() === id));
+  const copies = new Map();
+  try {
+    for (const target of orderedTargets) {
+      for (const source of sources.filter(source => source.attachment)) {
+        const copy = await copyAttachment(source.attachment, { chatId: target._id, uploaderId: senderId });
+        copies.set(`${target._id}:${source._id}`, copy._id);
+      }
+    }
+
+    const results = [];
+    for (const target of orderedTargets) {
+      const forwarded = [];
+      for (const source of sources) {
+        const { message } = await sendChatMessage(io, {
+          chatId: target._id,
+          senderId,
+          content: source.content,
+          messageType: source.messageType,
+          metadata: source.toObject().metadata,
+          attachmentId: copies.get(`${target._id}:${source._id}`),
+          forwardedFrom: { message: source._id, originalChat: source.chatId }
+        });
+        forwarded.push(message);
+      }
+      results.push({ chatId: target._id, messages: forwarded });
+    }
+
+    return results;
+  } catch (error) {
+    await removeUnsentAttachments([...copies.values()]);
+    throw error;
+  }
+};
+
+const findMessageForParticipant = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+  if (!message) {
+    throw createMessageError('message/not-found', 'Message not found', 404);
+  }
+
+  const chat = await Chat.findById(message.chatId);
+  if (!chat || !isParticipant(chat, userId)) {
+    throw createMessageError('message/access-denied', 'Access denied to this message', 403);
+  }
+
+  return { message, chat };
+};
+
+// Recount a user's unread messages and mentions in a chat after some were
+// read, hidden from them or removed, and send the new counts to their
+// devices. Resolves to the updated chat.
+export const refreshUnreadCounts = async (io, chatId, userId) => {
+  const chat = await Chat.findById(chatId);
+  const { unread, mentions } = await Message.countUnreadForUser(chatId, userId, chat.getClearedAt(userId));
+
+  const updatedChat = await Chat.findByIdAndUpdate(
+    chatId,
+    { $set: { [`unreadCounts.${userId}`]: unread, [`unreadMentionCounts.${userId}`]: mentions } },
+    { new: true }
+  );
+
+  io?.to(`user:${userId}`).emit('chat-updated', {
+    chatId,
+    unreadCounts: Object.fromEntries(updatedChat.unreadCounts),
+    unreadMentionCounts: Object.fromEntries(updatedChat.unreadMentionCounts)
+  });
+
+  return updatedChat;
+};
+
+// Edit a message's content and re-resolve its @mentions. Users mentioned
+// for the first time are notified, and everyone added or dropped gets their
+// unread mention count recounted.
+export const editChatMessage = async (io, { message, userId, content }) => {
+  const chat = await Chat.findById(message.chatId);
+  const previous = new Set(message.mentions.map(id => id.toString()));
+  const mentions = message.forwardedFrom?.message ? [] : await resolveMentions(chat, userId, content);
+  const current = new Set(mentions.map(id => id.toString()));
+  const added = mentions.filter(id => !previous.has(id.toString()));
+  const removed = message.mentions.filter(id => !current.has(id.toString()));
+
+  message.mentions = mentions;
+  await message.edit(content, userId);
+
+  for (const mentionedId of [...added, ...removed]) {
+    await refreshUnreadCounts(io, message.chatId, mentionedId);
+  }
+
+  if (added.length > 0) {
+    const updatedChat = await Chat.findById(message.chatId);
+    notifyMentions(io, updatedChat, message, formatSocketMessage(message), added);
+  }
+
+  return message;
+};
+
+// Delete a message for every participant, leaving a tombstone. Senders may
+// do this for a limited time after sending; users who may delete other
+// people's messages can do it at any time. Resolves to the deleted message.
+export const deleteMessageForEveryone = async (io, { messageId, userId }) => {
+  const { message, chat } = await findMessageForParticipant(messageId, userId);
+
+  if (message.isDeleted) {
+    throw createMessageError('message/already-deleted', 'This message was already deleted', 409);
+  }
+
+  if (message.messageType === 'system') {
+    throw createMessageError('message/not-deletable', 'Chat notices cannot be deleted for everyone', 400);
+  }
+
+  const isSender = message.sender.toString() === userId.toString();
+  const canModerate = chat.hasPermission(userId, 'deleteOthersMessages');
+  if (!isSender && !canModerate) {
+    throw createMessageError('message/access-denied', 'Not authorized to delete this message', 403);
+  }
+
+  const windowHours = getDeleteForEveryoneWindowHours();
+  if (!canModerate && Date.now() - message.createdAt.getTime() > windowHours * 60 * 60 * 1000) {
+    throw createMessageError(
+      'message/delete-window-expired',
+      `Messages can only be deleted for everyone within ${windowHours} hours of sending`,
+      403
+    );
+  }
+
+  await message.softDelete(userId);
+
+  io?.to(`chat:${chat._id}`).emit('message-deleted', {
+    chatId: chat._id,
+    messageId: message._id,
+    deletedBy: userId,
+    deletedAt: message.deletedAt
+  });
+
+  if (message.threadRoot) {
+    await updateThreadSummary(io, chat._id, message.threadRoot, { removedReplyIds: [message._id] });
+  }
+
+  return message;
+};
+
+// Hide a message from one user only; everyone else still sees it
+export const deleteMessageForMe = async (io, { messageId, userId }) => {
+  const { message, chat } = await findMessageForParticipant(messageId, userId);
+
+  await Message.updateOne({ _id: message._id }, { $addToSet: { hiddenFor: userId } });
+
+  io?.to(`user:${userId}`).emit('messages-hidden', {
+    chatId: chat._id,
+    messageIds: [message._id]
+  });
+
+  // Hiding only changes the counts if the message was still unread
+  if (message.isUnreadBy(userId) && message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+    await refreshUnreadCounts(io, chat._id, userId);
+  }
+  return message;
+};
+
+// Hide everything sent to a chat so far from one user. Resolves to the
+// time the chat was cleared.
+export const clearChatForUser = async (io, { chatId, userId }) => {
+  const clearedAt = new Date();
+  const chat = await Chat.findByIdAndUpdate(chatId, { $set: { [`clearedAt.${userId}`]: clearedAt } });
+
+  io?.to(`user:${userId}`).emit('chat-cleared', { chatId, clearedAt });
+
+  // Clearing only changes the counts if something was unread
+  if (chat?.unreadCounts.get(userId.toString())) {
+    await refreshUnreadCounts(io, chatId, userId);
+  }
+  return clearedAt;
+};
+
+const getRecipientIds = (chat, senderId) => {
+  return chat.participants.filter(participantId => participantId.toString() !== senderId.toString());
+};
+
+// Tell each sender the new aggregate status of their messages
+const notifyMessageStatus = async (io, chat, messageIds) => {
+  if (!io || messageIds.length === 0) {
+    return;
+  }
+
+  const readReceipts = chat.settings?.readReceipts !== false;
+  const messages = await Message.find({ _id: { $in: messageIds } }).select('sender readBy deliveredTo');
+
+  const statusesBySender = new Map();
+  messages.forEach(message => {
+    const senderId = message.sender.toString();
+    const status = message.getDeliveryStatus(getRecipientIds(chat, senderId), { readReceipts });
+    if (!statusesBySender.has(senderId)) {
+      statusesBySender.set(senderId, []);
+    }
+    statusesBySender.get(senderId).push({ messageId: message._id, status });
+  });
+
+  statusesBySender.forEach((statuses, senderId) => {
+    io.to(`user:${senderId}`).emit('message-status', {
+      chatId: chat._id,
+      statuses
+    });
+  });
+};
+
+// Record that a recipient's device received messages. Without messageIds,
+// every undelivered message in the chat is marked (used when syncing).
+export const markMessagesDelivered = async (io, chat, userId, messageIds) => {
+  const query = {
+    chatId: chat._id,
+    sender: { $ne: userId },
+    'deliveredTo.user': { $ne: userId }
+  };
+  if (messageIds) {
+    query._id = { $in: messageIds };
+  }
+
+  const pending = await Message.find(query).select('_id').limit(500);
+  const pendingIds = pending.map(message => message._id);
+  if (pendingIds.length === 0) {
+    return [];
+  }
+
+  await Message.updateMany(
+    { _id: { $in: pendingIds }, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, deliveredAt: new Date() } } }
+  );
+
+  await notifyMessageStatus(io, chat, pendingIds);
+  return pendingIds;
+};
+
+// Record that a recipient read messages and recount their unread count.
+// Reading a message means everything sent before it was read too, so the
+// count agrees with later recounts. Read status only reaches senders when
+// the chat has read receipts on.
+export const markMessagesRead = async (io, chat, userId, messageIds) => {
+  const now = new Date();
+  const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const newest = await Message.findOne({ _id: { $in: validIds }, chatId: chat._id })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  if (!newest) {
+    return;
+  }
+
+  const unread = await Message.find({
+    chatId: chat._id,
+    sender: { $ne: userId },
+    createdAt: { $lte: newest.createdAt },
+    'readBy.user': { $ne: userId }
+  }).select('_id');
+  const readIds = unread.map(message => message._id);
+  const query = { _id: { $in: readIds } };
+
+  // Reading a message implies it was delivered
+  await Message.updateMany(
+    { ...query, 'deliveredTo.user': { $ne: userId } },
+    { $push: { deliveredTo: { user: userId, deliveredAt: now } } }
+  );
+
+  await Message.updateMany(
+    { ...query, 'readBy.user': { $ne: userId } },
+    {
+      $push: { readBy: { user: userId, readAt: now } },
+      $set: { isRead: true }
+    }
+  );
+
+  const updatedChat = await refreshUnreadCounts(io, chat._id, userId);
+
+  if (io && readIds.length > 0) {
+    await notifyMessageStatus(io, updatedChat, readIds);
+
+    if (updatedChat.settings?.readReceipts !== false) {
+      io.to(`chat:${chat._id}`).except(`user:${userId}`).emit('messages-read', {
+        chatId: chat._id,
+        userId,
+        messageIds: readIds
+      });
+    }
+  }
+};
+
+// Shape a history message for one viewer: their own messages carry a
+// delivery status, reactions are summarised per emoji, and other people's
+// read times are hidden when the chat has read receipts off. Who deleted a
+// message for themselves is never shown, and tombstones say nothing more
+// than when and by whom the message was deleted.
+export const formatHistoryMessage = (message, chat, viewerId) => {
+  const result = message.toObject();
+  const readReceipts = chat.settings?.readReceipts !== false;
+  const senderId = (message.sender?._id || message.sender).toString();
+  result.reactions = message.getReactionSummary(viewerId);
+  delete result.hiddenFor;
+
+  if (message.isDeleted) {
+    delete result.attachment;
+    result.metadata = {};
+    result.editHistory = [];
+    result.reactions = [];
+    result.mentions = [];
+  }
+
+  if (senderId === viewerId.toString()) {
+    result.status = message.getDeliveryStatus(getRecipientIds(chat, senderId), { readReceipts });
+  }
+
+  if (!readReceipts) {
+    result.readBy = result.readBy.filter(read => (read.user?._id || read.user)?.toString() === viewerId.toString());
+  }
+
+  return result;
+};
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+// Cursor pagination over documents ordered by (createdAt, _id). Cursors are
+// opaque to clients: they encode the boundary document's position and the
+// direction to read in, so new documents arriving mid-scroll never shift a
+// page the way skip/limit does.
+export const CURSOR_DIRECTIONS = ['older', 'newer'];
+
+const createPaginationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+};
+
+// Encode a cursor pointing just past `doc` in the given direction
+export const encodeCursor = (doc, direction) => {
+  const payload = JSON.stringify([doc.createdAt.getTime(), doc._id.toString(), direction]);
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Decode a cursor into { createdAt, id, direction }
+export const decodeCursor = (cursor) => {
+  try {
+    const [time, id, direction] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(time);
+
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id) || !CURSOR_DIRECTIONS.includes(direction)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { createdAt, id: new mongoose.Types.ObjectId(id), direction };
+  } catch (error) {
+    throw createPaginationError('pagination/invalid-cursor', 'Invalid pagination cursor');
+  }
+};
+
+// Query conditions selecting documents strictly past the cursor position
+export const buildCursorFilter = ({ createdAt, id, direction }) => {
+  const op = direction === 'older' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: createdAt } },
+      { createdAt, _id: { [op]: id } }
+    ]
+  };
+};
+
+// Sort order for reading in a direction
+export const getCursorSort = (direction) => {
+  const order = direction === 'older' ? -1 : 1;
+  return { createdAt: order, _id: order };
+};
+
+// Search results are ordered by relevance score, then newest first, so
+// their cursors also carry the boundary result's score. Results ordered
+// by recency alone have a null score.
+export const encodeSearchCursor = (doc, score) => {
+  const payload = JSON.stringify([score ?? null, doc.createdAt.getTime(), doc._id.toString()]);
+  return Buffer.from(payload).toString('base64url');
+};
+
+// Decode a search cursor into { score, createdAt, id }. A cursor only
+// continues a search made with the same ordering.
+export const decodeSearchCursor = (cursor, byRelevance) => {
+  try {
+    const [score, time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(time);
+    const validScore = byRelevance ? typeof score === 'number' : score === null;
+
+    if (!validScore || Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { score, createdAt, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw createPaginationError('pagination/invalid-cursor', 'Invalid pagination cursor');
+  }
+};
+
+// Query conditions selecting search results strictly after the cursor
+export const buildSearchCursorFilter = ({ score, createdAt, id }) => {
+  const afterPosition = buildCursorFilter({ createdAt, id, direction: 'older' });
+  if (score === null) {
+    return afterPosition;
+  }
+
+  return {
+    $or: [
+      { score: { $lt: score } },
+      { score, ...afterPosition }
+    ]
+  };
+};
+
+// Clamp a requested page size
+export const parseLimit = (limit, defaultLimit = 50, maxLimit = 100) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return defaultLimit;
+  }
+  return Math.min(parsed, maxLimit);
+};
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { formatHistoryMessage, formatSocketMessage } from './messageService.js';
+
+// How many messages a chat can have pinned at once
+export const getMaxPinnedMessages = () => parseInt(process.env.MAX_PINNED_MESSAGES) || 5;
+
+const createPinError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Find a message the user may pin or unpin: in an active chat they belong
+// to, with a role that allows pinning
+const findPinnableMessage = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+  if (!message) {
+    throw createPinError('pin/message-not-found', 'Message not found', 404);
+  }
+
+  const chat = await Chat.findById(message.chatId);
+  if (!chat || !chat.isActive || !chat.participants.some(id => id.toString() === userId.toString())) {
+    throw createPinError('pin/access-denied', 'Access denied to this message', 403);
+  }
+
+  if (!chat.hasPermission(userId, 'pinMessages')) {
+    throw createPinError('pin/not-allowed', 'Only chat owners and admins can pin messages', 403);
+  }
+
+  return { message, chat };
+};
+
+// Pin a message for everyone in the chat. Pinning it again is a no-op.
+export const pinMessage = async (io, { messageId, userId }) => {
+  const { message, chat } = await findPinnableMessage(messageId, userId);
+
+  if (message.isDeleted || message.messageType === 'system' || !message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+    throw createPinError('pin/not-pinnable', 'This message cannot be pinned', 400);
+  }
+
+  // The limit is checked in the same update, so concurrent pins can't exceed it
+  const maxPins = getMaxPinnedMessages();
+  const pin = { message: message._id, pinnedBy: userId, pinnedAt: new Date() };
+  const result = await Chat.updateOne(
+    {
+      _id: chat._id,
+      'pinnedMessages.message': { $ne: message._id },
+      [`pinnedMessages.${maxPins - 1}`]: { $exists: false }
+    },
+    { $push: { pinnedMessages: pin } }
+  );
+
+  if (result.modifiedCount === 0) {
+    const current = await Chat.findById(chat._id).select('pinnedMessages');
+    if (current?.isMessagePinned(message._id)) {
+      return { message, chat };
+    }
+    throw createPinError(
+      'pin/limit-reached',
+      `A chat can have up to ${maxPins} pinned messages. Unpin one first.`,
+      409
+    );
+  }
+
+  await message.populate('sender', 'name avatar');
+  io?.to(`chat:${chat._id}`).emit('message-pinned', {
+    chatId: chat._id,
+    messageId: message._id,
+    pinnedBy: userId,
+    pinnedAt: pin.pinnedAt,
+    message: formatSocketMessage(message)
+  });
+
+  return { message, chat };
+};
+
+// Unpin a message. Unpinning one that isn't pinned is a no-op.
+export const unpinMessage = async (io, { messageId, userId }) => {
+  const { message, chat } = await findPinnableMessage(messageId, userId);
+
+  const result = await Chat.updateOne(
+    { _id: chat._id },
+    { $pull: { pinnedMessages: { message: message._id } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    io?.to(`chat:${chat._id}`).emit('message-unpinned', {
+      chatId: chat._id,
+      messageId: message._id,
+      unpinnedBy: userId
+    });
+  }
+
+  return { message, chat };
+};
+
+// List a chat's pins as the user sees them, most recently pinned first.
+// Messages the user deleted for themselves or cleared are left out.
+export const listPinnedMessages = async (chat, userId) => {
+  const pins = chat.pinnedMessages;
+  const messages = await Message.find({ _id: { $in: pins.map(pin => pin.message) }, isDeleted: false })
+    .populate('sender', 'name avatar')
+    .populate('replyTo', 'content sender');
+  const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+  const clearedAt = chat.getClearedAt(userId);
+
+  return pins
+    .filter(pin => messagesById.get(pin.message.toString())?.isVisibleTo(userId, clearedAt))
+    .sort((a, b) => b.pinnedAt - a.pinnedAt)
+    .map(pin => ({
+      message: formatHistoryMessage(messagesById.get(pin.message.toString()), chat, userId),
+      pinnedBy: pin.pinnedBy,
+      pinnedAt: pin.pinnedAt
+    }));
+};
+
+// Unpin messages that were deleted or purged and tell the chat
+export const removePinsForMessages = async (io, chatId, messageIds) => {
+  const chat = await Chat.findById(chatId).select('pinnedMessages');
+  const pinned = (chat?.pinnedMessages || [])
+    .map(pin => pin.message)
+    .filter(id => messageIds.some(messageId => messageId.toString() === id.toString()));
+  if (pinned.length === 0) {
+    return;
+  }
+
+  await Chat.updateOne({ _id: chatId }, { $pull: { pinnedMessages: { message: { $in: pinned } } } });
+  pinned.forEach(messageId => {
+    io?.to(`chat:${chatId}`).emit('message-unpinned', { chatId, messageId });
+  });
+};
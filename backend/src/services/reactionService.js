@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+
+// How many distinct emoji one user may put on a single message
+export const getMaxReactionsPerUser = () => parseInt(process.env.MAX_REACTIONS_PER_USER) || 3;
+
+const EMOJI_MAX_LENGTH = 32;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+const createReactionError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const validateEmoji = (emoji) => {
+  if (typeof emoji !== 'string' || emoji.length > EMOJI_MAX_LENGTH || /\s/.test(emoji) || !EMOJI_PATTERN.test(emoji)) {
+    throw createReactionError('reaction/invalid-emoji', 'A single emoji is required', 400);
+  }
+};
+
+// Find a message the user can see, for reacting or listing reactions
+export const findReactableMessage = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+  if (!message || message.isDeleted) {
+    throw createReactionError('reaction/message-not-found', 'Message not found', 404);
+  }
+
+  const chat = await Chat.findById(message.chatId);
+  if (!chat || !chat.participants.some(id => id.toString() === userId.toString())) {
+    throw createReactionError('reaction/access-denied', 'Access denied to this message', 403);
+  }
+
+  if (!message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+    throw createReactionError('reaction/message-not-found', 'Message not found', 404);
+  }
+
+  return message;
+};
+
+// Tell the chat how one emoji's count changed. Only the change is sent;
+// clients already hold the rest of the summary.
+const notifyReactionChange = (io, message, userId, emoji, action) => {
+  io?.to(`chat:${message.chatId}`).emit('message-reaction', {
+    chatId: message.chatId,
+    messageId: message._id,
+    userId,
+    emoji,
+    action,
+    count: message.reactions.filter(reaction => reaction.emoji === emoji).length
+  });
+};
+
+// Add the user's reaction with this emoji, or remove it if they already
+// reacted with it. Resolves to { action, message } where action is
+// 'added' or 'removed'.
+export const toggleReaction = async (io, { messageId, userId, emoji }) => {
+  validateEmoji(emoji);
+  const message = await findReactableMessage(messageId, userId);
+  const user = new mongoose.Types.ObjectId(userId.toString());
+
+  const removed = await Message.updateOne(
+    { _id: message._id, reactions: { $elemMatch: { user, emoji } } },
+    { $pull: { reactions: { user, emoji } } }
+  );
+
+  let action = 'removed';
+  if (removed.modifiedCount === 0) {
+    // Add only while the user is under the cap, checked in the same update
+    const maxPerUser = getMaxReactionsPerUser();
+    const added = await Message.updateOne(
+      {
+        _id: message._id,
+        reactions: { $not: { $elemMatch: { user, emoji } } },
+        $expr: {
+          $lt: [
+            { $size: { $filter: { input: '$reactions', cond: { $eq: ['$$this.user', user] } } } },
+            maxPerUser
+          ]
+        }
+      },
+      { $push: { reactions: { user, emoji, reactedAt: new Date() } } }
+    );
+
+    if (added.modifiedCount === 0) {
+      // A concurrent request may have added the same emoji first
+      const current = await Message.findById(message._id).select('chatId reactions');
+      if (current?.hasReaction(user, emoji)) {
+        return { action: 'added', message: current };
+      }
+      throw createReactionError(
+        'reaction/limit-reached',
+        `You can react to a message with up to ${maxPerUser} different emoji`,
+        409
+      );
+    }
+    action = 'added';
+  }
+
+  const updated = await Message.findById(message._id).select('chatId reactions');
+  notifyReactionChange(io, updated, userId, emoji, action);
+  return { action, message: updated };
+};
+
+// Remove one of the user's reactions, or all of them without an emoji
+export const removeReaction = async (io, { messageId, userId, emoji }) => {
+  if (emoji !== undefined) {
+    validateEmoji(emoji);
+  }
+  const message = await findReactableMessage(messageId, userId);
+
+  const removedEmoji = message.reactions
+    .filter(reaction => reaction.user.toString() === userId.toString())
+    .filter(reaction => emoji === undefined || reaction.emoji === emoji)
+    .map(reaction => reaction.emoji);
+
+  if (removedEmoji.length > 0) {
+    await message.removeReaction(userId, emoji);
+    removedEmoji.forEach(removed => notifyReactionChange(io, message, userId, removed, 'removed'));
+  }
+
+  return message;
+};
+
+// List who reacted to a message with one emoji, earliest first
+export const listReactionUsers = async ({ messageId, userId, emoji }) => {
+  validateEmoji(emoji);
+  const message = await findReactableMessage(messageId, userId);
+  await message.populate('reactions.user', 'name avatar');
+
+  return message.reactions
+    .filter(reaction => reaction.emoji === emoji && reaction.user)
+    .sort((a, b) => a.reactedAt - b.reactedAt)
+    .map(reaction => ({
+      id: reaction.user._id,
+      name: reaction.user.name,
+      avatar: reaction.user.avatar,
+      reactedAt: reaction.reactedAt
+    }));
+};
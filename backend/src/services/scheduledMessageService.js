@@ -0,0 +1,240 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import { ATTACHMENT_KINDS } from './attachmentService.js';
+import { MESSAGE_MAX_LENGTH, sendChatMessage } from './messageService.js';
+
+const SCHEDULER_INTERVAL_MS = 30 * 1000; // 30 seconds
+// A send still marked in progress after this was cut off by a restart
+const STALE_LOCK_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_ATTEMPTS = 5;
+
+const getMaxScheduleDays = () => parseInt(process.env.SCHEDULED_MESSAGE_MAX_DAYS) || 365;
+const getMaxPendingPerUser = () => parseInt(process.env.SCHEDULED_MESSAGE_MAX_PENDING) || 100;
+
+const createScheduleError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Shape a scheduled message for API responses and socket events
+export const formatScheduledMessage = (scheduled) => ({
+  id: scheduled._id,
+  chatId: scheduled.chatId,
+  content: scheduled.content,
+  messageType: scheduled.messageType,
+  replyTo: scheduled.replyTo,
+  metadata: scheduled.metadata,
+  sendAt: scheduled.sendAt,
+  status: scheduled.status,
+  sentAt: scheduled.sentAt,
+  sentMessageId: scheduled.sentMessage,
+  error: scheduled.error,
+  createdAt: scheduled.createdAt,
+  updatedAt: scheduled.updatedAt
+});
+
+const validateContent = (content) => {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw createScheduleError('schedule/content-required', 'Message content is required', 400);
+  }
+
+  if (content.length > MESSAGE_MAX_LENGTH) {
+    throw createScheduleError('schedule/too-long', `Message too long (max ${MESSAGE_MAX_LENGTH} characters)`, 400);
+  }
+};
+
+const parseSendAt = (sendAt) => {
+  const date = new Date(sendAt);
+  if (!sendAt || Number.isNaN(date.getTime())) {
+    throw createScheduleError('schedule/invalid-time', 'sendAt must be a valid date', 400);
+  }
+
+  if (date <= new Date()) {
+    throw createScheduleError('schedule/invalid-time', 'sendAt must be in the future', 400);
+  }
+
+  const maxDays = getMaxScheduleDays();
+  if (date.getTime() > Date.now() + maxDays * 24 * 60 * 60 * 1000) {
+    throw createScheduleError('schedule/invalid-time', `Messages can be scheduled at most ${maxDays} days ahead`, 400);
+  }
+
+  return date;
+};
+
+// Find one of the user's own scheduled messages
+const findOwnScheduledMessage = async (scheduledId, userId) => {
+  const scheduled = mongoose.Types.ObjectId.isValid(scheduledId)
+    ? await ScheduledMessage.findOne({ _id: scheduledId, sender: userId })
+    : null;
+  if (!scheduled) {
+    throw createScheduleError('schedule/not-found', 'Scheduled message not found', 404);
+  }
+  return scheduled;
+};
+
+// Store a message to be sent to a chat later
+export const scheduleMessage = async ({ chatId, senderId, content, messageType = 'text', replyTo, metadata = {}, sendAt }) => {
+  validateContent(content);
+  // Uploads are removed if they aren't sent soon, so they can't be scheduled
+  if (ATTACHMENT_KINDS.includes(messageType) || messageType === 'system') {
+    throw createScheduleError('schedule/invalid-type', 'Only text messages can be scheduled', 400);
+  }
+  const sendDate = parseSendAt(sendAt);
+
+  const chat = mongoose.Types.ObjectId.isValid(chatId) ? await Chat.findById(chatId) : null;
+  if (!chat || !chat.isActive || !chat.participants.some(id => id.toString() === senderId.toString())) {
+    throw createScheduleError('schedule/access-denied', 'Access denied to chat', 403);
+  }
+
+  // A reply must be to a message in this chat that the sender can see
+  if (replyTo) {
+    const viewer = { userId: senderId, clearedAt: chat.getClearedAt(senderId) };
+    const parent = mongoose.Types.ObjectId.isValid(replyTo)
+      ? await Message.findVisibleById(replyTo, viewer).select('chatId isDeleted')
+      : null;
+    if (!parent || parent.isDeleted || parent.chatId.toString() !== chat._id.toString()) {
+      throw createScheduleError('schedule/reply-not-found', 'The message being replied to was not found in this chat', 400);
+    }
+  }
+
+  const pendingCount = await ScheduledMessage.countDocuments({ sender: senderId, status: 'pending' });
+  if (pendingCount >= getMaxPendingPerUser()) {
+    throw createScheduleError('schedule/limit-reached', 'You have too many scheduled messages', 429);
+  }
+
+  return ScheduledMessage.create({
+    chatId,
+    sender: senderId,
+    content: content.trim(),
+    messageType,
+    replyTo,
+    metadata,
+    sendAt: sendDate
+  });
+};
+
+// Change the content or send time of a message that hasn't been sent yet
+export const updateScheduledMessage = async (scheduledId, userId, { content, sendAt }) => {
+  await findOwnScheduledMessage(scheduledId, userId);
+
+  const updates = {};
+  if (content !== undefined) {
+    validateContent(content);
+    updates.content = content.trim();
+  }
+  if (sendAt !== undefined) {
+    updates.sendAt = parseSendAt(sendAt);
+  }
+
+  // Only pending messages can change; the scheduler may have just claimed it
+  const updated = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, sender: userId, status: 'pending' },
+    { $set: updates },
+    { new: true }
+  );
+  if (!updated) {
+    throw createScheduleError('schedule/not-pending', 'This message has already been sent or cancelled', 409);
+  }
+  return updated;
+};
+
+// Cancel a message that hasn't been sent yet
+export const cancelScheduledMessage = async (scheduledId, userId) => {
+  await findOwnScheduledMessage(scheduledId, userId);
+
+  const cancelled = await ScheduledMessage.findOneAndUpdate(
+    { _id: scheduledId, sender: userId, status: 'pending' },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw createScheduleError('schedule/not-pending', 'This message has already been sent or cancelled', 409);
+  }
+  return cancelled;
+};
+
+// Send one claimed message through the normal send path and record the
+// outcome. Resolves to false when the send should be retried later.
+const deliverScheduledMessage = async (io, scheduled) => {
+  try {
+    const { message } = await sendChatMessage(io, {
+      chatId: scheduled.chatId,
+      senderId: scheduled.sender,
+      content: scheduled.content,
+      messageType: scheduled.messageType,
+      replyTo: scheduled.replyTo,
+      metadata: scheduled.metadata,
+      clientMessageId: scheduled.clientMessageId
+    });
+
+    scheduled.status = 'sent';
+    scheduled.sentAt = new Date();
+    scheduled.sentMessage = message._id;
+    scheduled.lockedAt = undefined;
+    await scheduled.save();
+
+    io?.to(`user:${scheduled.sender}`).emit('scheduled-message-sent', formatScheduledMessage(scheduled));
+    return true;
+  } catch (error) {
+    // Rejections from the send path (e.g. the sender left the chat) are final
+    const isFinal = error.code?.startsWith('message/') || scheduled.attempts >= MAX_ATTEMPTS;
+    if (!isFinal) {
+      console.error('Scheduled message send error:', error);
+    }
+
+    scheduled.status = isFinal ? 'failed' : 'pending';
+    scheduled.error = error.message;
+    scheduled.lockedAt = undefined;
+    await scheduled.save();
+
+    if (isFinal) {
+      io?.to(`user:${scheduled.sender}`).emit('scheduled-message-failed', formatScheduledMessage(scheduled));
+    }
+    return isFinal;
+  }
+};
+
+// Send every scheduled message that is due
+export const processDueScheduledMessages = async (io) => {
+  // Sends interrupted by a restart go back in the queue; the fixed client
+  // message ID keeps a send that did go through from being repeated
+  await ScheduledMessage.updateMany(
+    { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } },
+    { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+  );
+
+  // Stop at the first failure that can be retried and try again next tick
+  let scheduled = await ScheduledMessage.claimNextDue();
+  while (scheduled && await deliverScheduledMessage(io, scheduled)) {
+    scheduled = await ScheduledMessage.claimNextDue();
+  }
+};
+
+// Start the background job that sends scheduled messages
+export const startScheduledMessageJob = (io) => {
+  let isRunning = false;
+  const run = () => {
+    // Skip a tick if the previous batch is still sending
+    if (isRunning) {
+      return;
+    }
+    isRunning = true;
+    processDueScheduledMessages(io)
+      .catch(error => {
+        console.error('Scheduled message job error:', error);
+      })
+      .finally(() => {
+        isRunning = false;
+      });
+  };
+
+  run();
+  const timer = setInterval(run, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
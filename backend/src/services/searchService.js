@@ -0,0 +1,165 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { formatHistoryMessage } from './messageService.js';
+import { decodeSearchCursor } from './paginationService.js';
+
+export const SEARCH_SORTS = ['relevance', 'recent'];
+
+const QUERY_MIN_LENGTH = 2;
+const QUERY_MAX_LENGTH = 200;
+const MAX_HIGHLIGHT_TERMS = 10;
+const SNIPPET_LENGTH = 120;
+// How much text to keep before the first match in a snippet
+const SNIPPET_LEAD = 40;
+
+const createSearchError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words to highlight in results. Negated terms ("-word") are left out,
+// since they can't appear in a match, and so are single characters.
+export const getSearchTerms = (query) => {
+  const words = query
+    .split(/\s+/)
+    .filter(word => !word.startsWith('-'))
+    .flatMap(word => word.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1);
+  return [...new Set(words)].slice(0, MAX_HIGHLIGHT_TERMS);
+};
+
+// Cut a snippet of the content around the first match. Highlights are
+// [start, end) offsets into the snippet text of each word that starts with
+// a search term, so "run" also highlights "running" the way the stemmed
+// text index matches it.
+export const buildSnippet = (content, terms) => {
+  const highlights = [];
+  if (terms.length > 0) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    for (const match of content.matchAll(pattern)) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  const firstMatch = highlights[0]?.[0] ?? 0;
+  const start = Math.max(0, Math.min(firstMatch - SNIPPET_LEAD, content.length - SNIPPET_LENGTH));
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${content.slice(start, end)}${suffix}`,
+    highlights: highlights
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
+
+const parseDate = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createSearchError('search/invalid-filter', `${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+const parseObjectId = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw createSearchError('search/invalid-filter', `Invalid ${name}`, 400);
+  }
+  return value;
+};
+
+// Search the text of messages in every chat the user takes part in, or
+// one of them with `chatId`. Resolves to { results, nextCursor } where each
+// result is { message, snippet, score }.
+export const searchMessages = async ({
+  userId,
+  query,
+  chatId,
+  senderId,
+  messageType,
+  from,
+  to,
+  sort = 'relevance',
+  cursor,
+  limit
+}) => {
+  const trimmedQuery = typeof query === 'string' ? query.trim() : '';
+  if (trimmedQuery.length < QUERY_MIN_LENGTH || trimmedQuery.length > QUERY_MAX_LENGTH) {
+    throw createSearchError(
+      'search/invalid-query',
+      `Search query must be ${QUERY_MIN_LENGTH}-${QUERY_MAX_LENGTH} characters`,
+      400
+    );
+  }
+
+  const terms = getSearchTerms(trimmedQuery);
+  if (terms.length === 0) {
+    throw createSearchError('search/invalid-query', 'Search query must include a word to look for', 400);
+  }
+
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw createSearchError('search/invalid-filter', `sort must be one of: ${SEARCH_SORTS.join(', ')}`, 400);
+  }
+
+  if (messageType !== undefined && !Message.schema.path('messageType').enumValues.includes(messageType)) {
+    throw createSearchError('search/invalid-filter', 'Invalid message type', 400);
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate && toDate && fromDate > toDate) {
+    throw createSearchError('search/invalid-filter', 'from must be before to', 400);
+  }
+
+  const chatFilter = parseObjectId(chatId, 'chat ID');
+  const senderFilter = parseObjectId(senderId, 'sender ID');
+
+  const chats = await Chat.find({
+    participants: userId,
+    isActive: true,
+    ...(chatFilter ? { _id: chatFilter } : {})
+  }).select('type participants settings clearedAt');
+  if (chatFilter && chats.length === 0) {
+    throw createSearchError('search/access-denied', 'Access denied to chat', 403);
+  }
+
+  const byRelevance = sort === 'relevance';
+  const page = await Message.search(trimmedQuery, {
+    chatIds: chats.map(chat => chat._id),
+    senderId: senderFilter,
+    messageType,
+    from: fromDate,
+    to: toDate,
+    sort,
+    cursor: cursor ? decodeSearchCursor(cursor, byRelevance) : undefined,
+    limit,
+    viewerId: userId,
+    clearedAtByChat: new Map(chats
+      .filter(chat => chat.getClearedAt(userId))
+      .map(chat => [chat._id.toString(), chat.getClearedAt(userId)]))
+  });
+
+  const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+  return {
+    results: page.results.map(({ message, score }) => ({
+      message: formatHistoryMessage(message, chatsById.get(message.chatId.toString()), userId),
+      snippet: buildSnippet(message.content, terms),
+      score
+    })),
+    nextCursor: page.nextCursor
+  };
+};
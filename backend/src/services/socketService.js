@@ -1,7 +1,8 @@
-import jwt from 'jsonwebtoken';
 import Chat from '../models/Chat.js';
-import Message from '../models/Message.js';
 import User from '../models/User.js';
+import { markMessagesDelivered, markMessagesRead, sendChatMessage } from './messageService.js';
+import { toggleReaction } from './reactionService.js';
+import { verifyAccessToken } from './tokenService.js';
 
 // Store online users
 const onlineUsers = new Map();
@@ -16,7 +17,8 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication required'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Rejects expired tokens and tokens whose session has been revoked
+    const decoded = await verifyAccessToken(token, { ip: socket.handshake.address });
     const user = await User.findById(decoded.uid);
     
     if (!user) {
@@ -25,6 +27,7 @@ const authenticateSocket = async (socket, next) => {
 
     socket.userId = user._id.toString();
     socket.firebaseUid = user.firebaseUid;
+    socket.sessionId = decoded.sid.toString();
     
     // Update user's online status
     user.isOnline = true;
@@ -59,6 +62,9 @@ export const setupSocketHandlers = (io) => {
     
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
+    
+    // Join the session's room so the device can be signed out remotely
+    socket.join(`session:${socket.sessionId}`);
 
     // Handle joining a chat
     socket.on('join-chat', async (chatId) => {
@@ -118,158 +124,98 @@ export const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle sending message
-    socket.on('send-message', async (data) => {
+    // Handle sending message. The ack receives { ok, messageId,
+    // clientMessageId, createdAt, duplicate } or { ok: false, error: { code, message } }.
+    socket.on('send-message', async (data, ack) => {
+      // Clients that don't pass an ack still get failures as 'error' events
+      const reply = typeof ack === 'function'
+        ? ack
+        : (response) => !response.ok && socket.emit('error', { message: response.error.message });
+      
       try {
-        const { chatId, content, messageType = 'text', replyTo, metadata = {} } = data;
+        const { chatId, content, messageType = 'text', replyTo, metadata = {}, attachmentId, clientMessageId } = data || {};
         
-        const chat = await Chat.findById(chatId);
-        if (!chat || !chat.participants.includes(socket.userId)) {
-          socket.emit('error', { message: 'Access denied to chat' });
-          return;
-        }
-
-        // Create new message
-        const message = new Message({
+        const { message, duplicate } = await sendChatMessage(io, {
           chatId,
-          sender: socket.userId,
+          senderId: socket.userId,
           content,
           messageType,
           replyTo,
           metadata,
-          readBy: [socket.userId] // Sender has read the message
+          attachmentId,
+          clientMessageId
         });
-
-        await message.save();
-
-        // Update chat's last message
-        chat.lastMessage = {
+        
+        reply({
+          ok: true,
           messageId: message._id,
-          content: message.content,
-          sender: message.sender,
-          timestamp: message.createdAt
-        };
-
-        // Update unread counts for other participants
-        chat.participants.forEach(participantId => {
-          if (participantId.toString() !== socket.userId) {
-            chat.unreadCounts.set(participantId.toString(), 
-              (chat.unreadCounts.get(participantId.toString()) || 0) + 1
-            );
-          }
-        });
-
-        await chat.save();
-
-        // Emit message to all chat participants
-        io.to(`chat:${chatId}`).emit('new-message', {
-          message: {
-            id: message._id,
-            chatId: message.chatId,
-            sender: message.sender,
-            content: message.content,
-            messageType: message.messageType,
-            replyTo: message.replyTo,
-            metadata: message.metadata,
-            createdAt: message.createdAt,
-            updatedAt: message.updatedAt
-          },
-          chatId
-        });
-
-        // Emit chat update to participants
-        io.to(`chat:${chatId}`).emit('chat-updated', {
-          chatId,
-          lastMessage: chat.lastMessage,
-          unreadCounts: Object.fromEntries(chat.unreadCounts)
+          clientMessageId: message.clientMessageId,
+          createdAt: message.createdAt,
+          duplicate
         });
 
       } catch (error) {
+        if (error.code?.startsWith('message/')) {
+          reply({ ok: false, error: { code: error.code, message: error.message } });
+          return;
+        }
+        
         console.error('Send message error:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        reply({ ok: false, error: { code: 'message/internal', message: 'Failed to send message' } });
       }
     });
 
-    // Handle marking message as read
-    socket.on('mark-read', async (data) => {
+    // Handle delivery confirmations from a recipient's device
+    socket.on('message-delivered', async (data) => {
       try {
-        const { chatId, messageIds } = data;
+        const { chatId, messageIds } = data || {};
         
         const chat = await Chat.findById(chatId);
-        if (!chat || !chat.participants.includes(socket.userId)) {
+        if (!chat || !chat.participants.includes(socket.userId) || !Array.isArray(messageIds)) {
           return;
         }
 
-        // Mark messages as read
-        await Message.updateMany(
-          { _id: { $in: messageIds }, chatId },
-          { $addToSet: { readBy: socket.userId } }
-        );
-
-        // Reset unread count for this user
-        chat.unreadCounts.set(socket.userId, 0);
-        await chat.save();
-
-        // Notify other participants
-        socket.to(`chat:${chatId}`).emit('messages-read', {
-          chatId,
-          userId: socket.userId,
-          messageIds
-        });
-
-        // Emit updated unread counts
-        io.to(`chat:${chatId}`).emit('chat-updated', {
-          chatId,
-          unreadCounts: Object.fromEntries(chat.unreadCounts)
-        });
+        await markMessagesDelivered(io, chat, socket.userId, messageIds);
 
       } catch (error) {
-        console.error('Mark read error:', error);
+        console.error('Mark delivered error:', error);
       }
     });
 
-    // Handle message reactions
-    socket.on('react-to-message', async (data) => {
+    // Handle marking message as read
+    socket.on('mark-read', async (data) => {
       try {
-        const { messageId, reaction } = data;
+        const { chatId, messageIds } = data || {};
         
-        const message = await Message.findById(messageId);
-        if (!message) {
-          socket.emit('error', { message: 'Message not found' });
+        const chat = await Chat.findById(chatId);
+        if (!chat || !chat.participants.includes(socket.userId) || !Array.isArray(messageIds)) {
           return;
         }
 
-        // Check if user is in the chat
-        const chat = await Chat.findById(message.chatId);
-        if (!chat || !chat.participants.includes(socket.userId)) {
-          socket.emit('error', { message: 'Access denied to message' });
-          return;
-        }
+        await markMessagesRead(io, chat, socket.userId, messageIds);
 
-        // Add or update reaction
-        const existingReaction = message.reactions.find(r => r.userId.toString() === socket.userId);
-        if (existingReaction) {
-          existingReaction.emoji = reaction;
-          existingReaction.updatedAt = new Date();
-        } else {
-          message.reactions.push({
-            userId: socket.userId,
-            emoji: reaction,
-            createdAt: new Date()
-          });
-        }
+      } catch (error) {
+        console.error('Mark read error:', error);
+      }
+    });
 
-        await message.save();
+    // Handle message reactions (toggles the emoji for this user)
+    socket.on('react-to-message', async (data) => {
+      try {
+        const { messageId, reaction, emoji } = data;
 
-        // Emit reaction to all chat participants
-        io.to(`chat:${message.chatId}`).emit('message-reaction', {
+        await toggleReaction(io, {
           messageId,
           userId: socket.userId,
-          reaction,
-          reactions: message.reactions
+          emoji: emoji ?? reaction
         });
 
       } catch (error) {
+        if (error.code?.startsWith('reaction/')) {
+          socket.emit('error', { message: error.message, code: error.code });
+          return;
+        }
+
         console.error('Message reaction error:', error);
         socket.emit('error', { message: 'Failed to add reaction' });
       }
@@ -358,6 +304,18 @@ export const sendToChat = (io, chatId, event, data) => {
   io.to(`chat:${chatId}`).emit(event, data);
 };
 
+// Force-disconnect every socket opened with a revoked session
+export const disconnectSession = (io, sessionId, reason = 'revoked') => {
+  io.to(`session:${sessionId}`).emit('session-revoked', { sessionId, reason });
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+// Force-disconnect every socket a user has open, on any device
+export const disconnectUser = (io, userId, reason = 'revoked') => {
+  io.to(`user:${userId}`).emit('session-revoked', { reason });
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
 export const isUserOnline = (userId) => {
   return onlineUsers.has(userId) && onlineUsers.get(userId).isOnline;
 };
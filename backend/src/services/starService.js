@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import StarredMessage from '../models/StarredMessage.js';
+import User from '../models/User.js';
+import { formatHistoryMessage } from './messageService.js';
+import { buildCursorFilter, encodeCursor, getCursorSort } from './paginationService.js';
+
+const createStarError = (code, message, statusCode) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Find a message the user can star: not deleted, in a chat they belong to
+const findStarrableMessage = async (messageId, userId) => {
+  const message = mongoose.Types.ObjectId.isValid(messageId) ? await Message.findById(messageId) : null;
+  if (!message || message.isDeleted) {
+    throw createStarError('star/message-not-found', 'Message not found', 404);
+  }
+
+  const chat = await Chat.findById(message.chatId);
+  if (!chat || !chat.isActive || !chat.participants.some(id => id.toString() === userId.toString())) {
+    throw createStarError('star/access-denied', 'Access denied to this message', 403);
+  }
+
+  if (!message.isVisibleTo(userId, chat.getClearedAt(userId))) {
+    throw createStarError('star/message-not-found', 'Message not found', 404);
+  }
+
+  return message;
+};
+
+// Tell the user's other devices; nobody else learns about stars
+const notifyStarChange = (io, userId, message, starred) => {
+  io?.to(`user:${userId}`).emit(starred ? 'message-starred' : 'message-unstarred', {
+    chatId: message.chatId,
+    messageId: message._id
+  });
+};
+
+// Star a message. Starring it again is a no-op.
+export const starMessage = async (io, { messageId, userId }) => {
+  const message = await findStarrableMessage(messageId, userId);
+
+  const result = await StarredMessage.updateOne(
+    { user: userId, message: message._id },
+    { $setOnInsert: { chatId: message.chatId } },
+    { upsert: true }
+  );
+
+  if (result.upsertedCount > 0) {
+    notifyStarChange(io, userId, message, true);
+  }
+  return message;
+};
+
+// Unstar a message. Messages that have since been deleted can still be
+// unstarred, so only the star itself is looked up.
+export const unstarMessage = async (io, { messageId, userId }) => {
+  const star = mongoose.Types.ObjectId.isValid(messageId)
+    ? await StarredMessage.findOneAndDelete({ user: userId, message: messageId })
+    : null;
+
+  if (star) {
+    notifyStarChange(io, userId, { _id: star.message, chatId: star.chatId }, false);
+  }
+};
+
+// Which of these messages the user has starred, as a set of ID strings
+export const findStarredIds = async (userId, messageIds) => {
+  const stars = await StarredMessage.find({ user: userId, message: { $in: messageIds } }).select('message');
+  return new Set(stars.map(star => star.message.toString()));
+};
+
+// List one page of the user's stars, most recently starred first, grouped
+// by chat in the order each chat first appears. `cursor` is a decoded
+// nextCursor from a previous page. Resolves to { chats, nextCursor }.
+export const listStarredMessages = async (userId, { cursor, limit = 50 } = {}) => {
+  const chats = await Chat.find({ participants: userId, isActive: true })
+    .select('type participants settings metadata.groupName metadata.groupAvatar');
+  const chatsById = new Map(chats.map(chat => [chat._id.toString(), chat]));
+
+  const query = {
+    user: userId,
+    chatId: { $in: chats.map(chat => chat._id) },
+    ...(cursor ? buildCursorFilter({ ...cursor, direction: 'older' }) : {})
+  };
+
+  // Fetch one extra to know whether another page follows
+  const results = await StarredMessage.find(query)
+    .sort(getCursorSort('older'))
+    .limit(limit + 1)
+    .populate({
+      path: 'message',
+      match: { isDeleted: false },
+      populate: { path: 'sender', select: 'name avatar' }
+    });
+  const stars = results.slice(0, limit);
+
+  // Names let the client label direct chats by the other participant
+  const participantIds = [...new Set(stars.flatMap(star =>
+    chatsById.get(star.chatId.toString()).participants.map(id => id.toString())
+  ))];
+  const participants = await User.find({ _id: { $in: participantIds } }).select('name avatar');
+  const participantsById = new Map(participants.map(participant => [participant._id.toString(), participant]));
+
+  const groups = new Map();
+  stars
+    .filter(star => star.message)
+    .forEach(star => {
+      const chatId = star.chatId.toString();
+      const chat = chatsById.get(chatId);
+      if (!groups.has(chatId)) {
+        groups.set(chatId, {
+          chat: {
+            id: chat._id,
+            type: chat.type,
+            groupName: chat.metadata?.groupName,
+            groupAvatar: chat.metadata?.groupAvatar,
+            participants: chat.participants.map(id => ({
+              id,
+              name: participantsById.get(id.toString())?.name,
+              avatar: participantsById.get(id.toString())?.avatar
+            }))
+          },
+          messages: []
+        });
+      }
+      groups.get(chatId).messages.push({
+        ...formatHistoryMessage(star.message, chat, userId),
+        isStarred: true,
+        starredAt: star.createdAt
+      });
+    });
+
+  return {
+    chats: [...groups.values()],
+    nextCursor: results.length > limit ? encodeCursor(stars[stars.length - 1], 'older') : null
+  };
+};
+
+// Remove every star on these messages, after they are deleted
+export const removeStarsForMessages = (messageIds) => {
+  return StarredMessage.deleteMany({ message: { $in: messageIds } });
+};
+
+// Remove a user's stars in a chat they left or cleared
+export const removeStarsForChatMember = (chatId, userId) => {
+  return StarredMessage.deleteMany({ chatId, user: userId });
+};
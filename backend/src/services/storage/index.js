@@ -0,0 +1,33 @@
+import { createLocalDriver } from './localDriver.js';
+
+// Every storage driver exposes the same interface:
+//   name                         - driver identifier, recorded with each file
+//   save(key, buffer)            - stores a new file under `key`
+//   createReadStream(key)        - returns a readable stream of the file
+//   copy(fromKey, toKey)         - stores a copy of a file under a new key
+//   remove(key)                  - deletes a file; missing files are ignored
+// Register additional drivers (S3, GCS) here.
+const drivers = {
+  local: createLocalDriver
+};
+
+let storageDriver = null;
+
+// Get the storage driver selected by STORAGE_DRIVER (default: local)
+export const getStorageDriver = () => {
+  if (storageDriver) {
+    return storageDriver;
+  }
+
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const createDriver = drivers[driverName];
+
+  if (!createDriver) {
+    throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+
+  storageDriver = createDriver();
+  console.log(`✅ Storage driver initialized: ${storageDriver.name}`);
+
+  return storageDriver;
+};
@@ -0,0 +1,39 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stores files on the server's disk under UPLOAD_PATH. Suitable for a
+// single server; use a shared driver when running more than one.
+export const createLocalDriver = () => {
+  const rootPath = path.resolve(process.env.UPLOAD_PATH || './uploads');
+
+  // Keys are generated by the server, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootPath, key);
+    if (!filePath.startsWith(rootPath + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    createReadStream: (key) => fs.createReadStream(resolveKey(key)),
+
+    copy: async (fromKey, toKey) => {
+      const toPath = resolveKey(toKey);
+      await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+      await fs.promises.copyFile(resolveKey(fromKey), toPath, fs.constants.COPYFILE_EXCL);
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+
+// Access tokens are short-lived and carry the session ID so they can be
+// rejected as soon as the session is revoked. Refresh tokens rotate on every
+// use; the session only remembers the hash of the latest one.
+const getAccessTokenExpiresIn = () => process.env.JWT_EXPIRES_IN || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS) || 30;
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const createAuthError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 401;
+  return error;
+};
+
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { uid: user._id, firebaseUid: user.firebaseUid, sid: session._id, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenExpiresIn() }
+  );
+};
+
+const signRefreshToken = (user, session) => {
+  return jwt.sign(
+    {
+      uid: user._id,
+      sid: session._id,
+      type: 'refresh',
+      jti: crypto.randomUUID(),
+      exp: Math.floor(session.expiresAt.getTime() / 1000)
+    },
+    getRefreshSecret()
+  );
+};
+
+const buildTokenResponse = (accessToken, refreshToken) => ({
+  token: accessToken,
+  refreshToken,
+  tokenExpiresAt: new Date(jwt.decode(accessToken).exp * 1000).toISOString()
+});
+
+// Start a new session (token family) for a user and issue its first tokens.
+// `context` describes the device signing in: { deviceName, platform, userAgent, ip }.
+export const issueTokens = async (user, context = {}) => {
+  const session = new Session({
+    user: user._id,
+    device: {
+      name: context.deviceName,
+      platform: context.platform,
+      userAgent: context.userAgent
+    },
+    lastIp: context.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000)
+  });
+
+  const accessToken = signAccessToken(user, session);
+  const refreshToken = signRefreshToken(user, session);
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokenResponse(accessToken, refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. Presenting a refresh token
+// that was already rotated revokes the whole family.
+export const rotateRefreshToken = async (refreshToken, context = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createAuthError('auth/refresh-token-expired', 'Session expired. Please login again.');
+    }
+    throw createAuthError('auth/invalid-refresh-token', 'Invalid refresh token. Please login again.');
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw createAuthError('auth/invalid-refresh-token', 'Invalid refresh token. Please login again.');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive) {
+    throw createAuthError('auth/session-revoked', 'Session revoked. Please login again.');
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    await session.revoke('reuse-detected');
+    console.warn(`⚠️  Refresh token reuse detected for session ${session._id}, session revoked`);
+    throw createAuthError('auth/refresh-token-reused', 'Session revoked. Please login again.');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await session.revoke();
+    throw createAuthError('auth/session-revoked', 'Session revoked. Please login again.');
+  }
+
+  const accessToken = signAccessToken(user, session);
+  const nextRefreshToken = signRefreshToken(user, session);
+
+  // Only rotate if nobody else rotated the session in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastRotatedAt: new Date(),
+        lastActiveAt: new Date(),
+        ...(context.ip && { lastIp: context.ip })
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke('reuse-detected');
+    throw createAuthError('auth/refresh-token-reused', 'Session revoked. Please login again.');
+  }
+
+  return { user, ...buildTokenResponse(accessToken, nextRefreshToken) };
+};
+
+// Verify an access token and make sure its session is still active
+export const verifyAccessToken = async (token, context = {}) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== 'access' || !decoded.sid) {
+    throw createAuthError('auth/invalid-token', 'Invalid token. Please login again.');
+  }
+
+  const session = await Session.findActiveById(decoded.sid);
+  if (!session) {
+    throw createAuthError('auth/session-revoked', 'Session revoked. Please login again.');
+  }
+
+  await session.touch(context.ip);
+
+  return decoded;
+};
+
+// Issue a short-lived token proving the first factor passed, to be
+// exchanged for real tokens once the second factor is verified
+export const issueTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { uid: user._id, type: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Verify a two-factor challenge token and return its user ID
+export const verifyTwoFactorChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createAuthError('auth/invalid-challenge', 'Verification expired. Please login again.');
+  }
+
+  if (decoded.type !== '2fa-challenge') {
+    throw createAuthError('auth/invalid-challenge', 'Verification expired. Please login again.');
+  }
+
+  return decoded.uid;
+};
+
+// Revoke a single session
+export const revokeSession = async (sessionId, reason = 'revoked') => {
+  const session = await Session.findById(sessionId);
+  if (session) {
+    await session.revoke(reason);
+  }
+  return session;
+};
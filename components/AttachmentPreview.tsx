@@ -0,0 +1,84 @@
+import { apiService, Attachment } from '@/services/ApiService';
+import { Image } from 'expo-image';
+import { openBrowserAsync } from 'expo-web-browser';
+import { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, Text, TouchableOpacity } from 'react-native';
+
+type Props = {
+  attachmentId: string;
+  color: string;
+};
+
+const formatSize = (bytes: number) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// Shows an attached image inline, and other files as a link. Download
+// links are signed per user and expire, so one is fetched when shown and
+// again when opened after it has run out.
+export function AttachmentPreview({ attachmentId, color }: Props) {
+  const [attachment, setAttachment] = useState<Attachment | null>(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    apiService.getAttachment(attachmentId)
+      .then(setAttachment)
+      .catch(() => setFailed(true));
+  }, [attachmentId]);
+
+  const handleOpen = async () => {
+    if (!attachment) return;
+
+    try {
+      const current = new Date(attachment.urlExpiresAt) > new Date()
+        ? attachment
+        : await apiService.getAttachment(attachmentId);
+      setAttachment(current);
+      await openBrowserAsync(current.url);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to open attachment.');
+    }
+  };
+
+  if (failed) {
+    return <Text style={[styles.fileText, { color }]}>Attachment unavailable</Text>;
+  }
+
+  if (!attachment) {
+    return <ActivityIndicator style={styles.loading} color={color} />;
+  }
+
+  if (attachment.kind === 'image') {
+    return (
+      <TouchableOpacity onPress={handleOpen}>
+        <Image source={{ uri: attachment.url }} style={styles.image} contentFit="cover" />
+      </TouchableOpacity>
+    );
+  }
+
+  return (
+    <TouchableOpacity onPress={handleOpen} style={styles.file}>
+      <Text style={[styles.fileText, { color }]} numberOfLines={1}>
+        📎 {attachment.fileName} · {formatSize(attachment.size)}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    marginVertical: 8,
+  },
+  image: {
+    width: 220,
+    height: 220,
+    borderRadius: 12,
+    marginBottom: 4,
+  },
+  file: {
+    marginBottom: 4,
+  },
+  fileText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
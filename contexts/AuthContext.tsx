@@ -1,3 +1,6 @@
+import apiService, { SignInResponse } from '@/services/ApiService';
+import messageStorageService from '@/services/MessageStorageService';
+import webSocketService from '@/services/WebSocketService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import React, { createContext, ReactNode, useContext, useEffect, useState } from 'react';
 
@@ -10,13 +13,20 @@ interface User {
   location?: string;
 }
 
+interface SignInResult {
+  twoFactorRequired: boolean;
+}
+
 interface AuthContextType {
   user: User | null;
   isLoading: boolean;
-  signIn: (email: string, password: string) => Promise<void>;
+  signIn: (email: string, password: string) => Promise<SignInResult>;
+  verifyTwoFactorCode: (code: string) => Promise<void>;
+  cancelTwoFactor: () => void;
   signUp: (userData: Omit<User, 'id'>) => Promise<void>;
   signOut: () => Promise<void>;
   googleSignIn: () => Promise<void>;
+  deleteAccount: (password?: string) => Promise<Date>;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -36,12 +46,24 @@ interface AuthProviderProps {
 export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const [user, setUser] = useState<User | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState<string | null>(null);
 
   useEffect(() => {
     // Check for stored user data on app start
     loadStoredUser();
   }, []);
 
+  // Keep the socket on the latest access token, and sign out here once the
+  // session can no longer be refreshed
+  useEffect(() => apiService.onAuthTokenChange(token => {
+    if (token) {
+      webSocketService.setAuthToken(token);
+      return;
+    }
+    setUser(null);
+    clearStoredUser();
+  }), []);
+
   const loadStoredUser = async () => {
     try {
       const storedUser = await AsyncStorage.getItem('@textsy_user');
@@ -71,24 +93,40 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
-  const signIn = async (email: string, password: string) => {
+  // Store the tokens and user from a completed sign-in
+  const completeSignIn = async (response: SignInResponse) => {
+    if (!response.token || !response.refreshToken || !response.user) {
+      throw new Error('Invalid sign-in response');
+    }
+
+    await apiService.setAuthTokens(response.token, response.refreshToken);
+
+    const signedInUser: User = {
+      id: response.user.id,
+      name: response.user.name,
+      email: response.user.email,
+      bio: response.user.bio,
+      interests: response.user.interests || [],
+    };
+
+    setTwoFactorChallenge(null);
+    setUser(signedInUser);
+    await storeUser(signedInUser);
+  };
+
+  const signIn = async (email: string, password: string): Promise<SignInResult> => {
     setIsLoading(true);
     try {
-      // TODO: Implement actual Firebase authentication
-      console.log('Signing in with:', { email, password });
-      
-      // Mock successful sign in
-      const mockUser: User = {
-        id: '1',
-        name: 'Alex Chen',
-        email,
-        bio: 'Software engineer who loves indie music and hiking.',
-        interests: ['tech', 'music', 'hiking', 'coffee'],
-        location: 'San Francisco, CA',
-      };
-      
-      setUser(mockUser);
-      await storeUser(mockUser);
+      const response = await apiService.login(email, password);
+
+      // Accounts with two-factor authentication need a code first
+      if (response.twoFactorRequired && response.challengeToken) {
+        setTwoFactorChallenge(response.challengeToken);
+        return { twoFactorRequired: true };
+      }
+
+      await completeSignIn(response);
+      return { twoFactorRequired: false };
     } catch (error) {
       console.error('Sign in error:', error);
       throw error;
@@ -97,6 +135,27 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const verifyTwoFactorCode = async (code: string) => {
+    if (!twoFactorChallenge) {
+      throw new Error('No sign-in waiting for verification');
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await apiService.verifyTwoFactor(twoFactorChallenge, code);
+      await completeSignIn(response);
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+  };
+
   const signUp = async (userData: Omit<User, 'id'>) => {
     setIsLoading(true);
     try {
@@ -148,11 +207,16 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
   const signOut = async () => {
     setIsLoading(true);
     try {
-      // TODO: Implement actual Firebase sign out
-      console.log('Signing out');
+      // Revoke the session on the server; sign out locally regardless
+      try {
+        await apiService.logout();
+      } catch (error) {
+        console.error('Server logout error:', error);
+      }
       
       setUser(null);
       await clearStoredUser();
+      await apiService.clearAuthToken();
     } catch (error) {
       console.error('Sign out error:', error);
       throw error;
@@ -161,13 +225,37 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  // Schedule account deletion on the server and sign out locally.
+  // Resolves to the date the account will be erased.
+  const deleteAccount = async (password?: string): Promise<Date> => {
+    setIsLoading(true);
+    try {
+      const { deletionScheduledFor } = await apiService.deleteAccount(password);
+
+      setUser(null);
+      await clearStoredUser();
+      await apiService.clearAuthToken();
+      await messageStorageService.clearAllData();
+
+      return new Date(deletionScheduledFor);
+    } catch (error) {
+      console.error('Delete account error:', error);
+      throw error;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const value: AuthContextType = {
     user,
     isLoading,
     signIn,
+    verifyTwoFactorCode,
+    cancelTwoFactor,
     signUp,
     signOut,
     googleSignIn,
+    deleteAccount,
   };
 
   return (
@@ -1,6 +1,20 @@
+import { useAuth } from '@/contexts/AuthContext';
+import { apiService, MessageSearchFilters, ReactionSummary, SearchSnippet } from '@/services/ApiService';
 import messageStorageService from '@/services/MessageStorageService';
 import webSocketService, { WebSocketMessage } from '@/services/WebSocketService';
-import React, { createContext, ReactNode, useContext, useEffect, useState } from 'react';
+import React, { createContext, ReactNode, useContext, useEffect, useRef, useState } from 'react';
+
+// Sender-side delivery state: 'sending' until the server acknowledges it,
+// 'failed' if it never does
+export type MessageStatus = 'sending' | 'failed' | 'sent' | 'delivered' | 'read';
+
+const MESSAGE_STATUS_ORDER: MessageStatus[] = ['sending', 'sent', 'delivered', 'read'];
+
+// Statuses only move forward, so a late 'delivered' never replaces 'read'
+const isNewerStatus = (current: MessageStatus | undefined, next: MessageStatus) =>
+  MESSAGE_STATUS_ORDER.indexOf(next) > MESSAGE_STATUS_ORDER.indexOf(current ?? 'sending');
+
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
 
 export interface Message {
   id: string;
@@ -11,9 +25,22 @@ export interface Message {
   text?: string;   // for local compatibility
   messageType?: string;
   replyTo?: string;
+  threadRoot?: string; // first message of the thread this replies to
+  replyCount?: number; // set on thread roots
+  lastReplyAt?: Date;
+  forwardedFrom?: { message: string; originalChat: string };
+  attachment?: string; // ID of the uploaded file for image, video, audio and file messages
   metadata?: any;
+  expiresAt?: Date; // set when the chat has disappearing messages on
+  clientMessageId?: string; // generated on this device; deduplicates retried sends
   timestamp: Date;
   isRead: boolean;
+  isEdited?: boolean;
+  isDeleted?: boolean; // deleted for everyone; shown as a tombstone
+  mentions?: string[]; // IDs of users @mentioned in the text
+  isStarred?: boolean; // starred by us; stars are private
+  reactions?: ReactionSummary[];
+  status?: MessageStatus;
 }
 
 export interface Chat {
@@ -21,20 +48,44 @@ export interface Chat {
   participants: string[];
   lastMessage?: Message;
   unreadCount: number;
+  unreadMentionCount?: number;
   updatedAt: Date;
 }
 
+// A search hit; server results carry a highlighted snippet
+export interface MessageSearchResult extends Message {
+  snippet?: SearchSnippet;
+}
+
+export interface SendMessageOptions {
+  replyTo?: string; // replying adds the message to that message's thread
+}
+
+// Payload of the server's thread-updated event
+export interface ThreadUpdate {
+  chatId: string;
+  rootId: string;
+  replyCount: number;
+  lastReplyAt?: string;
+  reply?: any;
+  removedReplyIds?: string[];
+}
+
 interface MessagingContextType {
   chats: Chat[];
   messages: { [chatId: string]: Message[] };
   isConnected: boolean;
-  sendMessage: (chatId: string, text: string, receiverId: string) => Promise<void>;
+  sendMessage: (chatId: string, text: string, receiverId: string, options?: SendMessageOptions) => Promise<void>;
   markAsRead: (chatId: string, messageIds: string[]) => Promise<void>;
+  toggleReaction: (chatId: string, messageId: string, emoji: string) => Promise<void>;
+  setMessageStarred: (chatId: string, messageId: string, starred: boolean) => Promise<void>;
+  deleteMessage: (chatId: string, messageId: string, scope: 'me' | 'everyone') => Promise<void>;
+  clearChat: (chatId: string) => Promise<void>;
   createChat: (participantIds: string[]) => Promise<string>;
   loadChatHistory: (chatId: string) => Promise<void>;
   connect: () => Promise<void>;
   disconnect: () => Promise<void>;
-  searchMessages: (query: string) => Promise<Message[]>;
+  searchMessages: (query: string, filters?: MessageSearchFilters) => Promise<MessageSearchResult[]>;
   getUnreadCount: () => Promise<number>;
 }
 
@@ -56,6 +107,16 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
   const [chats, setChats] = useState<Chat[]>([]);
   const [messages, setMessages] = useState<{ [chatId: string]: Message[] }>({});
   const [isConnected, setIsConnected] = useState(false);
+  // Client IDs of messages sent from this device, which the server echoes back
+  const sentClientMessageIds = useRef(new Set<string>());
+  // Sends still waiting for the server's ack, and statuses that arrived for
+  // server IDs before their ack did
+  const awaitingAck = useRef(new Set<string>());
+  const earlyStatuses = useRef(new Map<string, MessageStatus>());
+  const { user } = useAuth();
+  // Socket handlers are registered once, so they read the user through a ref
+  const currentUserId = useRef<string | undefined>(user?.id);
+  currentUserId.current = user?.id;
 
   useEffect(() => {
     // Load stored chats and messages on app start
@@ -65,8 +126,12 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     const unsubscribeMessage = webSocketService.onMessage(handleWebSocketMessage);
     const unsubscribeConnection = webSocketService.onConnectionChange(handleConnectionChange);
     
+    // Disappearing messages also expire locally, even while offline
+    const purgeTimer = setInterval(purgeExpiredMessages, EXPIRY_CHECK_INTERVAL_MS);
+    
     // Cleanup on unmount
     return () => {
+      clearInterval(purgeTimer);
       unsubscribeMessage();
       unsubscribeConnection();
       webSocketService.disconnect();
@@ -78,6 +143,36 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
       case 'message':
         handleIncomingMessage(wsMessage.data);
         break;
+      case 'message_edited':
+        handleMessageEdited(wsMessage.data);
+        break;
+      case 'message_deleted':
+        handleMessageDeleted(wsMessage.data);
+        break;
+      case 'messages_hidden':
+        removeMessages(wsMessage.data.chatId, wsMessage.data.messageIds);
+        break;
+      case 'chat_cleared':
+        handleChatCleared(wsMessage.data);
+        break;
+      case 'reaction':
+        handleReaction(wsMessage.data);
+        break;
+      case 'star_update':
+        applyStarred(wsMessage.data.chatId, wsMessage.data.messageId, wsMessage.data.isStarred);
+        break;
+      case 'mention':
+        handleMention(wsMessage.data);
+        break;
+      case 'message_status':
+        handleMessageStatus(wsMessage.data);
+        break;
+      case 'messages_expired':
+        removeMessages(wsMessage.data.chatId, wsMessage.data.messageIds);
+        break;
+      case 'thread_update':
+        handleThreadUpdate(wsMessage.data);
+        break;
       case 'typing':
         // TODO: Handle typing indicators
         console.log('Typing indicator:', wsMessage.data);
@@ -97,6 +192,11 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
 
   const handleIncomingMessage = async (message: Message) => {
     try {
+      // Our own sends are echoed back to the room; they're already shown
+      if (message.clientMessageId && sentClientMessageIds.current.has(message.clientMessageId)) {
+        return;
+      }
+
       // Add message to local state
       setMessages(prev => ({
         ...prev,
@@ -136,8 +236,230 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     }
   };
 
+  // Show another participant's edit (or our own, from another device)
+  const handleMessageEdited = async (data: { chatId: string; messageId: string; content: string }) => {
+    try {
+      const updates = { content: data.content, text: data.content, isEdited: true };
+
+      setMessages(prev => ({
+        ...prev,
+        [data.chatId]: (prev[data.chatId] || []).map(message =>
+          message.id === data.messageId ? { ...message, ...updates } : message
+        ),
+      }));
+
+      setChats(prev => prev.map(chat =>
+        chat.id === data.chatId && chat.lastMessage?.id === data.messageId
+          ? { ...chat, lastMessage: { ...chat.lastMessage, ...updates } }
+          : chat
+      ));
+
+      await messageStorageService.updateMessage(data.chatId, data.messageId, updates);
+    } catch (error) {
+      console.error('Error handling message edit:', error);
+    }
+  };
+
+  // Deleted for everyone: the message stays in place as a tombstone
+  const handleMessageDeleted = async (data: { chatId: string; messageId: string }) => {
+    try {
+      const updates = { content: '', text: '', isDeleted: true, reactions: [], mentions: [], metadata: undefined };
+
+      setMessages(prev => ({
+        ...prev,
+        [data.chatId]: (prev[data.chatId] || []).map(message =>
+          message.id === data.messageId ? { ...message, ...updates } : message
+        ),
+      }));
+
+      setChats(prev => prev.map(chat =>
+        chat.id === data.chatId && chat.lastMessage?.id === data.messageId
+          ? { ...chat, lastMessage: { ...chat.lastMessage, ...updates } }
+          : chat
+      ));
+
+      await messageStorageService.updateMessage(data.chatId, data.messageId, updates);
+    } catch (error) {
+      console.error('Error handling message deletion:', error);
+    }
+  };
+
+  // Drop everything sent up to the moment we cleared the chat
+  const handleChatCleared = async (data: { chatId: string; clearedAt: string }) => {
+    try {
+      const clearedAt = new Date(data.clearedAt);
+      const cleared = (await messageStorageService.loadMessages(data.chatId))
+        .filter(message => new Date(message.timestamp) <= clearedAt)
+        .map(message => message.id);
+      await removeMessages(data.chatId, cleared);
+
+      const withoutHistory = (chat: Chat): Chat => chat.id === data.chatId
+        ? { ...chat, lastMessage: undefined, unreadCount: 0, unreadMentionCount: 0 }
+        : chat;
+      setChats(prev => prev.map(withoutHistory));
+      await messageStorageService.saveChats((await messageStorageService.loadChats()).map(withoutHistory));
+    } catch (error) {
+      console.error('Error clearing chat:', error);
+    }
+  };
+
+  const setMessageReactions = async (
+    chatId: string,
+    messageId: string,
+    update: (reactions: ReactionSummary[]) => ReactionSummary[]
+  ) => {
+    setMessages(prev => ({
+      ...prev,
+      [chatId]: (prev[chatId] || []).map(message =>
+        message.id === messageId ? { ...message, reactions: update(message.reactions || []) } : message
+      ),
+    }));
+
+    // State updaters may run later, so storage applies the update on its own copy
+    const stored = (await messageStorageService.loadMessages(chatId)).find(message => message.id === messageId);
+    if (stored) {
+      await messageStorageService.updateMessage(chatId, messageId, { reactions: update(stored.reactions || []) });
+    }
+  };
+
+  // The server sends one emoji's new count; reactedByMe only changes when
+  // the reaction was ours
+  const handleReaction = async (data: {
+    chatId: string;
+    messageId: string;
+    userId: string;
+    emoji: string;
+    action: 'added' | 'removed';
+    count: number;
+  }) => {
+    try {
+      const isMine = data.userId === currentUserId.current;
+      await setMessageReactions(data.chatId, data.messageId, reactions => {
+        const existing = reactions.find(reaction => reaction.emoji === data.emoji);
+        const updated: ReactionSummary = {
+          emoji: data.emoji,
+          count: data.count,
+          reactedByMe: isMine ? data.action === 'added' : existing?.reactedByMe ?? false,
+        };
+
+        const next = existing
+          ? reactions.map(reaction => reaction.emoji === data.emoji ? updated : reaction)
+          : [...reactions, updated];
+        return next.filter(reaction => reaction.count > 0);
+      });
+    } catch (error) {
+      console.error('Error handling reaction:', error);
+    }
+  };
+
+  const applyStarred = async (chatId: string, messageId: string, isStarred: boolean) => {
+    try {
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).map(message =>
+          message.id === messageId ? { ...message, isStarred } : message
+        ),
+      }));
+      await messageStorageService.updateMessage(chatId, messageId, { isStarred });
+    } catch (error) {
+      console.error('Error updating star:', error);
+    }
+  };
+
+  // The message itself arrives through the chat room; this only keeps the
+  // per-chat count of unread mentions in step with the server
+  const handleMention = async (data: { chatId: string; unreadMentions: number }) => {
+    try {
+      const withCount = (chat: Chat) =>
+        chat.id === data.chatId ? { ...chat, unreadMentionCount: data.unreadMentions } : chat;
+
+      setChats(prev => prev.map(withCount));
+      await messageStorageService.saveChats((await messageStorageService.loadChats()).map(withCount));
+    } catch (error) {
+      console.error('Error handling mention:', error);
+    }
+  };
+
+  // Apply status updates for our own messages, in memory and in storage.
+  // Statuses only move forward.
+  const handleMessageStatus = async (data: { chatId: string; statuses: { messageId: string; status: MessageStatus }[] }) => {
+    try {
+      const statusById = new Map(data.statuses.map(({ messageId, status }) => [messageId, status]));
+      const advance = (message: Message): Message => {
+        const status = statusById.get(message.id);
+        return status && isNewerStatus(message.status, status) ? { ...message, status } : message;
+      };
+
+      // A message still under its client ID can't be matched yet; keep its
+      // status until the ack gives it the server ID
+      if (awaitingAck.current.size > 0) {
+        statusById.forEach((status, messageId) => {
+          if (isNewerStatus(earlyStatuses.current.get(messageId), status)) {
+            earlyStatuses.current.set(messageId, status);
+          }
+        });
+      }
+
+      setMessages(prev => ({
+        ...prev,
+        [data.chatId]: (prev[data.chatId] || []).map(advance),
+      }));
+
+      await messageStorageService.updateMessagesWith(data.chatId, advance);
+    } catch (error) {
+      console.error('Error handling message status:', error);
+    }
+  };
+
+  // Keep the reply summary shown under a thread's root message current
+  const handleThreadUpdate = async (data: ThreadUpdate) => {
+    try {
+      const updates = {
+        replyCount: data.replyCount,
+        lastReplyAt: data.lastReplyAt ? new Date(data.lastReplyAt) : undefined,
+      };
+
+      setMessages(prev => ({
+        ...prev,
+        [data.chatId]: (prev[data.chatId] || []).map(message =>
+          message.id === data.rootId ? { ...message, ...updates } : message
+        ),
+      }));
+
+      await messageStorageService.updateMessage(data.chatId, data.rootId, updates);
+    } catch (error) {
+      console.error('Error handling thread update:', error);
+    }
+  };
+
+  const removeMessages = async (chatId: string, messageIds: string[]) => {
+    try {
+      const removed = new Set(messageIds);
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).filter(message => !removed.has(message.id)),
+      }));
+
+      await messageStorageService.removeMessages(chatId, messageIds);
+    } catch (error) {
+      console.error('Error removing messages:', error);
+    }
+  };
+
+  const purgeExpiredMessages = async () => {
+    const purged = await messageStorageService.purgeExpiredMessages();
+    Object.entries(purged).forEach(([chatId, messageIds]) => {
+      const removed = new Set(messageIds);
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).filter(message => !removed.has(message.id)),
+      }));
+    });
+  };
+
   const loadStoredData = async () => {
     try {
+      await messageStorageService.purgeExpiredMessages();
       const storedChats = await messageStorageService.loadChats();
       const storedMessages = await messageStorageService.loadAllMessages();
       
@@ -165,17 +487,28 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     }
   };
 
-  const sendMessage = async (chatId: string, text: string, receiverId: string): Promise<void> => {
+  const sendMessage = async (
+    chatId: string,
+    text: string,
+    receiverId: string,
+    options: SendMessageOptions = {}
+  ): Promise<void> => {
+    const clientMessageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
     try {
+      sentClientMessageIds.current.add(clientMessageId);
+      awaitingAck.current.add(clientMessageId);
       const message: Message = {
-        id: Date.now().toString(),
+        id: clientMessageId,
+        clientMessageId,
         text,
         content: text, // ensure socket compatibility
-        senderId: 'current-user-id', // TODO: Get from auth context
+        senderId: currentUserId.current ?? '',
         receiverId,
         timestamp: new Date(),
         isRead: false,
+        status: 'sending',
         chatId,
+        replyTo: options.replyTo,
       };
 
       // Add message to local state
@@ -202,12 +535,44 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
       );
       await messageStorageService.saveChats(updatedChats);
 
-      // Send message via WebSocket
-      await webSocketService.sendMessage(message);
+      // Send message via WebSocket, then adopt the server's ID and timestamp
+      const ack = await webSocketService.sendMessage(message);
+      const updates = { id: ack.messageId, timestamp: new Date(ack.createdAt) };
+      const early = earlyStatuses.current.get(ack.messageId);
+      earlyStatuses.current.delete(ack.messageId);
+
+      // Acknowledged means at least 'sent'; keep any later status already seen
+      const acknowledge = (existing: Message): Message => {
+        if (existing.clientMessageId !== clientMessageId) {
+          return existing;
+        }
+        const status = !existing.status || existing.status === 'sending' ? 'sent' : existing.status;
+        return { ...existing, ...updates, status: early && isNewerStatus(status, early) ? early : status };
+      };
+
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).map(acknowledge),
+      }));
+      await messageStorageService.updateMessagesWith(chatId, acknowledge);
 
     } catch (error) {
       console.error('Error sending message:', error);
+      setMessages(prev => ({
+        ...prev,
+        [chatId]: (prev[chatId] || []).map(existing =>
+          existing.clientMessageId === clientMessageId && existing.status === 'sending'
+            ? { ...existing, status: 'failed' }
+            : existing
+        ),
+      }));
+      await messageStorageService.updateMessage(chatId, clientMessageId, { status: 'failed' }).catch(() => {});
       throw error;
+    } finally {
+      awaitingAck.current.delete(clientMessageId);
+      if (awaitingAck.current.size === 0) {
+        earlyStatuses.current.clear();
+      }
     }
   };
 
@@ -222,10 +587,10 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
         ),
       }));
 
-      // Update unread count
+      // Update unread count; reading a chat clears its mentions too
       setChats(prev => prev.map(chat => 
         chat.id === chatId 
-          ? { ...chat, unreadCount: Math.max(0, chat.unreadCount - messageIds.length) }
+          ? { ...chat, unreadCount: Math.max(0, chat.unreadCount - messageIds.length), unreadMentionCount: 0 }
           : chat
       ));
 
@@ -235,7 +600,7 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
       // Update chat in storage
       const updatedChats = chats.map(chat => 
         chat.id === chatId 
-          ? { ...chat, unreadCount: Math.max(0, chat.unreadCount - messageIds.length) }
+          ? { ...chat, unreadCount: Math.max(0, chat.unreadCount - messageIds.length), unreadMentionCount: 0 }
           : chat
       );
       await messageStorageService.saveChats(updatedChats);
@@ -249,6 +614,54 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     }
   };
 
+  const toggleReaction = async (chatId: string, messageId: string, emoji: string): Promise<void> => {
+    try {
+      const { reactions } = await apiService.toggleReaction(messageId, emoji);
+      await setMessageReactions(chatId, messageId, () => reactions);
+    } catch (error) {
+      console.error('Error toggling reaction:', error);
+      throw error;
+    }
+  };
+
+  const setMessageStarred = async (chatId: string, messageId: string, starred: boolean): Promise<void> => {
+    try {
+      if (starred) {
+        await apiService.starMessage(messageId);
+      } else {
+        await apiService.unstarMessage(messageId);
+      }
+      await applyStarred(chatId, messageId, starred);
+    } catch (error) {
+      console.error('Error starring message:', error);
+      throw error;
+    }
+  };
+
+  const deleteMessage = async (chatId: string, messageId: string, scope: 'me' | 'everyone'): Promise<void> => {
+    try {
+      await apiService.deleteMessage(messageId, scope);
+      if (scope === 'me') {
+        await removeMessages(chatId, [messageId]);
+      } else {
+        await handleMessageDeleted({ chatId, messageId });
+      }
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw error;
+    }
+  };
+
+  const clearChat = async (chatId: string): Promise<void> => {
+    try {
+      const { clearedAt } = await apiService.clearChat(chatId);
+      await handleChatCleared({ chatId, clearedAt });
+    } catch (error) {
+      console.error('Error clearing chat:', error);
+      throw error;
+    }
+  };
+
   const createChat = async (participantIds: string[]): Promise<string> => {
     try {
       const chatId = Date.now().toString();
@@ -292,13 +705,48 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     }
   };
 
-  const searchMessages = async (query: string): Promise<Message[]> => {
+  // Server results come first in ranked order. Local matches the server
+  // didn't return (e.g. messages that haven't synced) follow, newest first;
+  // offline, only local matches are returned.
+  const searchMessages = async (
+    query: string,
+    filters: MessageSearchFilters = {}
+  ): Promise<MessageSearchResult[]> => {
+    const localResults = (await messageStorageService.searchMessages(query)).filter(message => {
+      const sentAt = new Date(message.timestamp);
+      return (!filters.chatId || message.chatId === filters.chatId)
+        && (!filters.senderId || message.senderId === filters.senderId)
+        && (!filters.type || (message.messageType ?? 'text') === filters.type)
+        && (!filters.from || sentAt >= filters.from)
+        && (!filters.to || sentAt <= filters.to);
+    });
+
+    let serverResults: MessageSearchResult[] = [];
     try {
-      return await messageStorageService.searchMessages(query);
+      const page = await apiService.searchMessages(query, filters);
+      serverResults = page.results.map(({ message, snippet }) => ({
+        id: String(message._id),
+        chatId: String(message.chatId),
+        senderId: String(message.sender?._id ?? message.sender),
+        receiverId: '',
+        content: message.content,
+        text: message.content,
+        messageType: message.messageType,
+        clientMessageId: message.clientMessageId,
+        timestamp: new Date(message.createdAt),
+        isRead: message.isRead,
+        isEdited: message.isEdited,
+        snippet,
+      }));
     } catch (error) {
-      console.error('Error searching messages:', error);
-      return [];
+      console.error('Error searching messages on server:', error);
     }
+
+    const seen = new Set(serverResults.flatMap(message => [message.id, message.clientMessageId]));
+    const localOnly = localResults.filter(message =>
+      !seen.has(message.id) && !(message.clientMessageId && seen.has(message.clientMessageId))
+    );
+    return [...serverResults, ...localOnly];
   };
 
   const getUnreadCount = async (): Promise<number> => {
@@ -316,6 +764,10 @@ export const MessagingProvider: React.FC<MessagingProviderProps> = ({ children }
     isConnected,
     sendMessage,
     markAsRead,
+    toggleReaction,
+    setMessageStarred,
+    deleteMessage,
+    clearChat,
     createChat,
     loadChatHistory,
     connect,
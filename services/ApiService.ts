@@ -0,0 +1,595 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+
+export interface ApiServiceConfig {
+  baseUrl: string;
+}
+
+export interface AuthUserResponse {
+  id: string;
+  name: string;
+  email: string;
+  bio?: string;
+  interests: string[];
+  isVerified?: boolean;
+}
+
+export interface SignInResponse {
+  twoFactorRequired?: boolean;
+  challengeToken?: string;
+  token?: string;
+  refreshToken?: string;
+  user?: AuthUserResponse;
+}
+
+export interface ChatInvite {
+  id: string;
+  code: string;
+  url: string;
+  chatId: string;
+  expiresAt?: string;
+  maxUses?: number;
+  uses: number;
+  revokedAt?: string;
+  isUsable: boolean;
+  createdAt: string;
+}
+
+export interface InvitePreview {
+  invite: {
+    code: string;
+    expiresAt?: string;
+  };
+  chat: {
+    id: string;
+    groupName?: string;
+    groupAvatar?: string;
+    groupDescription?: string;
+    participantCount: number;
+    isMember: boolean;
+  };
+}
+
+export interface MessagePage {
+  messages: any[];
+  nextCursor: string | null; // loads older messages
+  prevCursor: string | null; // loads newer messages
+  hasMore: boolean;
+}
+
+// How long messages live before disappearing
+export type MessageExpiry = 'off' | '1h' | '24h' | '7d';
+
+export interface ChatSettings {
+  allowInvites: boolean;
+  readReceipts: boolean;
+  typingIndicators: boolean;
+  messageExpiry: MessageExpiry;
+}
+
+// A chat as listed by the server, with participants populated
+export interface ChatSummary {
+  _id: string;
+  type: 'direct' | 'group';
+  participants: { _id: string; name: string; avatar?: string }[];
+  metadata?: {
+    groupName?: string;
+    groupAvatar?: string;
+  };
+  settings?: ChatSettings;
+  unreadCounts?: Record<string, number>;
+  unreadMentionCounts?: Record<string, number>;
+  updatedAt: string;
+}
+
+export interface ChatParticipant {
+  _id: string;
+  name: string;
+  avatar?: string;
+  isOnline?: boolean;
+  role?: 'owner' | 'admin' | 'member';
+}
+
+// A message waiting to be sent at `sendAt`
+export interface ScheduledMessage {
+  id: string;
+  chatId: string;
+  content: string;
+  messageType: string;
+  replyTo?: string;
+  sendAt: string;
+  status: 'pending' | 'sending' | 'sent' | 'failed' | 'cancelled';
+  sentMessageId?: string;
+  error?: string;
+  createdAt: string;
+}
+
+// Reactions to a message, one entry per emoji
+export interface ReactionSummary {
+  emoji: string;
+  count: number;
+  reactedByMe: boolean;
+}
+
+export interface ReactionUser {
+  id: string;
+  name: string;
+  avatar?: string;
+  reactedAt: string;
+}
+
+// Part of a matching message; highlights are [start, end) offsets into text
+export interface SearchSnippet {
+  text: string;
+  highlights: [number, number][];
+}
+
+export interface MessageSearchFilters {
+  chatId?: string;
+  senderId?: string;
+  type?: string;
+  from?: Date;
+  to?: Date;
+  sort?: 'relevance' | 'recent';
+}
+
+export interface MessageSearchPage {
+  results: { message: any; snippet: SearchSnippet; score: number }[];
+  nextCursor: string | null; // loads further results
+  hasMore: boolean;
+}
+
+// One chat's starred messages on a page of the Starred list
+export interface StarredChatGroup {
+  chat: {
+    id: string;
+    type: 'direct' | 'group';
+    groupName?: string;
+    groupAvatar?: string;
+    participants: { id: string; name?: string; avatar?: string }[];
+  };
+  messages: any[]; // each has starredAt
+}
+
+export type AttachmentKind = 'image' | 'video' | 'audio' | 'file';
+
+// An uploaded file. `url` is signed for the current user and stops
+// working at `urlExpiresAt`; fetch the attachment again for a new one.
+export interface Attachment {
+  id: string;
+  chatId: string;
+  kind: AttachmentKind;
+  fileName: string;
+  mimeType: string;
+  size: number;
+  url: string;
+  urlExpiresAt: string;
+}
+
+// A pinned message as returned by GET /chats/:chatId/pins
+export interface PinnedMessage {
+  message: {
+    _id: string;
+    content: string;
+    messageType?: string;
+    sender?: { _id: string; name: string };
+    createdAt: string;
+  };
+  pinnedBy: string;
+  pinnedAt: string;
+}
+
+export interface StarredPage {
+  chats: StarredChatGroup[];
+  nextCursor: string | null; // loads messages starred earlier
+  hasMore: boolean;
+}
+
+// Earlier versions of an edited message, oldest first
+export interface MessageHistory {
+  messageId: string;
+  content: string;
+  isEdited: boolean;
+  editHistory: { content: string; editedAt: string }[];
+}
+
+// A thread root with one page of its replies, oldest first
+export interface ThreadPage {
+  root: any;
+  replies: any[];
+  replyCount: number;
+  lastReplyAt: string | null;
+  nextCursor: string | null; // loads later replies
+}
+
+export class ApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+// Auth endpoints where a 401 means bad credentials, not an expired token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/refresh', '/auth/2fa/challenge'];
+
+class ApiService {
+  private readonly TOKEN_KEY = '@textsy_auth_token';
+  private readonly REFRESH_TOKEN_KEY = '@textsy_refresh_token';
+  private config: ApiServiceConfig;
+  private refreshPromise: Promise<string | null> | null = null;
+  private authTokenHandlers: ((token: string | null) => void)[] = [];
+
+  constructor() {
+    // Initialize with local configuration for development
+    this.config = {
+      baseUrl: 'http://localhost:3000/api',
+    };
+  }
+
+  // Configure the service
+  configure(config: ApiServiceConfig) {
+    this.config = config;
+  }
+
+  // Auth token management
+  async setAuthTokens(token: string, refreshToken: string): Promise<void> {
+    await AsyncStorage.multiSet([
+      [this.TOKEN_KEY, token],
+      [this.REFRESH_TOKEN_KEY, refreshToken],
+    ]);
+    this.notifyAuthTokenChange(token);
+  }
+
+  async getAuthToken(): Promise<string | null> {
+    return AsyncStorage.getItem(this.TOKEN_KEY);
+  }
+
+  async clearAuthToken(): Promise<void> {
+    await AsyncStorage.multiRemove([this.TOKEN_KEY, this.REFRESH_TOKEN_KEY]);
+  }
+
+  // Listen for new access tokens, or null once the session has ended and
+  // can't be refreshed
+  onAuthTokenChange(handler: (token: string | null) => void): () => void {
+    this.authTokenHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      const index = this.authTokenHandlers.indexOf(handler);
+      if (index > -1) {
+        this.authTokenHandlers.splice(index, 1);
+      }
+    };
+  }
+
+  private notifyAuthTokenChange(token: string | null): void {
+    this.authTokenHandlers.forEach(handler => {
+      try {
+        handler(token);
+      } catch (error) {
+        console.error('Error in auth token handler:', error);
+      }
+    });
+  }
+
+  // Trade the refresh token for a new token pair. Each refresh token works
+  // once, so requests that fail together share a single refresh. Resolves
+  // to the new access token, or null if there isn't one.
+  private refreshAuthToken(): Promise<string | null> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  private async performRefresh(): Promise<string | null> {
+    const refreshToken = await AsyncStorage.getItem(this.REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      return null;
+    }
+
+    let response: Response;
+    try {
+      response = await fetch(`${this.config.baseUrl}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+    } catch (error) {
+      // Offline: keep the session and try again on the next request
+      console.error('Token refresh error:', error);
+      return null;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.ok && data.token && data.refreshToken) {
+      await this.setAuthTokens(data.token, data.refreshToken);
+      return data.token;
+    }
+
+    // The session was revoked or has expired, so sign out
+    if (response.status === 401) {
+      await this.clearAuthToken();
+      this.notifyAuthTokenChange(null);
+    }
+    return null;
+  }
+
+  private send(method: string, path: string, token: string | null, body?: unknown): Promise<Response> {
+    return fetch(`${this.config.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+  }
+
+  // Send an authenticated JSON request to the backend. An expired access
+  // token is refreshed and the request retried once.
+  async request<T = any>(method: string, path: string, body?: unknown): Promise<T> {
+    const token = await this.getAuthToken();
+    let response = await this.send(method, path, token, body);
+
+    if (response.status === 401 && token && !NO_REFRESH_PATHS.includes(path)) {
+      // Another request may have refreshed the token in the meantime
+      const current = await this.getAuthToken();
+      const nextToken = current && current !== token ? current : await this.refreshAuthToken();
+      if (nextToken) {
+        response = await this.send(method, path, nextToken, body);
+      }
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new ApiError(data.error || 'Request failed', response.status);
+    }
+    return data as T;
+  }
+
+  // Authentication
+  async login(email: string, password: string): Promise<SignInResponse> {
+    return this.request('POST', '/auth/login', { email, password, platform: Platform.OS });
+  }
+
+  // Complete a sign-in that requires a second factor. Accepts either a
+  // 6-digit authenticator code or a recovery code.
+  async verifyTwoFactor(challengeToken: string, code: string): Promise<SignInResponse> {
+    const trimmed = code.trim();
+    const isTotpCode = /^\d{6}$/.test(trimmed);
+    return this.request('POST', '/auth/2fa/challenge', {
+      challengeToken,
+      platform: Platform.OS,
+      ...(isTotpCode ? { code: trimmed } : { recoveryCode: trimmed }),
+    });
+  }
+
+  // Email verification
+  async verifyEmail(token: string): Promise<AuthUserResponse> {
+    const data = await this.request('POST', '/auth/email/verify', { token });
+    return data.user;
+  }
+
+  async resendVerificationEmail(): Promise<void> {
+    await this.request('POST', '/auth/email/resend');
+  }
+
+  async logout(): Promise<void> {
+    await this.request('POST', '/auth/logout');
+  }
+
+  // Messages
+  // Pass a cursor from a previous page to continue in its direction, or a
+  // message ID as `around` to load the messages surrounding it
+  async getChatMessages(
+    chatId: string,
+    options: { cursor?: string; around?: string; limit?: number } = {}
+  ): Promise<MessagePage> {
+    const params = new URLSearchParams();
+    if (options.cursor) params.set('cursor', options.cursor);
+    if (options.around) params.set('around', options.around);
+    if (options.limit) params.set('limit', String(options.limit));
+
+    const query = params.toString();
+    return this.request('GET', `/messages/chat/${chatId}${query ? `?${query}` : ''}`);
+  }
+
+  // Searches every chat we're in, best matches first unless sort is 'recent'
+  async searchMessages(
+    query: string,
+    filters: MessageSearchFilters = {},
+    cursor?: string
+  ): Promise<MessageSearchPage> {
+    const params = new URLSearchParams({ q: query });
+    if (filters.chatId) params.set('chatId', filters.chatId);
+    if (filters.senderId) params.set('sender', filters.senderId);
+    if (filters.type) params.set('type', filters.type);
+    if (filters.from) params.set('from', filters.from.toISOString());
+    if (filters.to) params.set('to', filters.to.toISOString());
+    if (filters.sort) params.set('sort', filters.sort);
+    if (cursor) params.set('cursor', cursor);
+
+    const { results, nextCursor, hasMore } = await this.request('GET', `/messages/search?${params}`);
+    return { results, nextCursor, hasMore };
+  }
+
+  // 'me' hides the message from our own history; 'everyone' replaces it
+  // with a tombstone for the whole chat
+  async deleteMessage(messageId: string, scope: 'me' | 'everyone'): Promise<void> {
+    await this.request('DELETE', `/messages/${messageId}?scope=${scope}`);
+  }
+
+  async clearChat(chatId: string): Promise<{ clearedAt: string }> {
+    return this.request('POST', `/chats/${chatId}/clear`);
+  }
+
+  // Stars are private; nobody else in the chat sees them
+  async starMessage(messageId: string): Promise<void> {
+    await this.request('POST', `/messages/${messageId}/star`);
+  }
+
+  async unstarMessage(messageId: string): Promise<void> {
+    await this.request('DELETE', `/messages/${messageId}/star`);
+  }
+
+  async getStarredMessages(cursor?: string): Promise<StarredPage> {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const { chats, nextCursor, hasMore } = await this.request('GET', `/messages/starred${query}`);
+    return { chats, nextCursor, hasMore };
+  }
+
+  // Adds the emoji, or removes it if we already reacted with it
+  async toggleReaction(
+    messageId: string,
+    emoji: string
+  ): Promise<{ action: 'added' | 'removed'; reactions: ReactionSummary[] }> {
+    const { action, reactions } = await this.request('POST', `/messages/${messageId}/reactions`, { emoji });
+    return { action, reactions };
+  }
+
+  async getReactionUsers(messageId: string, emoji: string): Promise<ReactionUser[]> {
+    const data = await this.request(
+      'GET',
+      `/messages/${messageId}/reactions?emoji=${encodeURIComponent(emoji)}`
+    );
+    return data.users;
+  }
+
+  async getMessageHistory(messageId: string): Promise<MessageHistory> {
+    const { messageId: id, content, isEdited, editHistory } = await this.request(
+      'GET',
+      `/messages/${messageId}/history`
+    );
+    return { messageId: id, content, isEdited, editHistory };
+  }
+
+  // Any message in a thread can be passed; the whole thread is returned
+  async getThread(messageId: string, cursor?: string): Promise<ThreadPage> {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    const { root, replies, replyCount, lastReplyAt, nextCursor } = await this.request(
+      'GET',
+      `/messages/${messageId}/thread${query}`
+    );
+    return { root, replies, replyCount, lastReplyAt: lastReplyAt ?? null, nextCursor };
+  }
+
+  // Forward messages into other chats; resolves to the new message IDs per chat
+  async forwardMessages(
+    messageIds: string[],
+    targetChatIds: string[]
+  ): Promise<{ chatId: string; messageIds: string[] }[]> {
+    const data = await this.request('POST', '/messages/forward', { messageIds, targetChatIds });
+    return data.forwarded.map((entry: { chatId: string; messages: { _id: string }[] }) => ({
+      chatId: entry.chatId,
+      messageIds: entry.messages.map(message => message._id),
+    }));
+  }
+
+  async getAttachment(attachmentId: string): Promise<Attachment> {
+    const data = await this.request('GET', `/attachments/${attachmentId}`);
+    return data.attachment;
+  }
+
+  // Pins are shared by the whole chat; newest pin first
+  async getPinnedMessages(chatId: string): Promise<{ pins: PinnedMessage[]; maxPins: number }> {
+    const { pins, maxPins } = await this.request('GET', `/chats/${chatId}/pins`);
+    return { pins, maxPins };
+  }
+
+  async pinMessage(messageId: string): Promise<void> {
+    await this.request('POST', `/messages/${messageId}/pin`);
+  }
+
+  async unpinMessage(messageId: string): Promise<void> {
+    await this.request('DELETE', `/messages/${messageId}/pin`);
+  }
+
+  // Scheduled messages
+  async getScheduledMessages(chatId?: string): Promise<ScheduledMessage[]> {
+    const query = chatId ? `?chatId=${encodeURIComponent(chatId)}` : '';
+    const data = await this.request('GET', `/scheduled-messages${query}`);
+    return data.scheduledMessages;
+  }
+
+  async scheduleMessage(chatId: string, content: string, sendAt: Date): Promise<ScheduledMessage> {
+    const data = await this.request('POST', '/scheduled-messages', {
+      chatId,
+      content,
+      sendAt: sendAt.toISOString(),
+    });
+    return data.scheduledMessage;
+  }
+
+  async updateScheduledMessage(
+    scheduledId: string,
+    updates: { content?: string; sendAt?: Date }
+  ): Promise<ScheduledMessage> {
+    const data = await this.request('PUT', `/scheduled-messages/${scheduledId}`, {
+      content: updates.content,
+      sendAt: updates.sendAt?.toISOString(),
+    });
+    return data.scheduledMessage;
+  }
+
+  async cancelScheduledMessage(scheduledId: string): Promise<void> {
+    await this.request('DELETE', `/scheduled-messages/${scheduledId}`);
+  }
+
+  // Chats
+  async getChats(): Promise<ChatSummary[]> {
+    const data = await this.request('GET', '/chats');
+    return data.chats;
+  }
+
+  async getChatParticipants(chatId: string): Promise<ChatParticipant[]> {
+    const data = await this.request('GET', `/chats/${chatId}/participants`);
+    return data.participants;
+  }
+
+  async updateChatSettings(chatId: string, settings: Partial<ChatSettings>): Promise<ChatSummary> {
+    const data = await this.request('PUT', `/chats/${chatId}`, { settings });
+    return data.chat;
+  }
+
+  // Group invites
+  async createChatInvite(
+    chatId: string,
+    options: { expiresInHours?: number; maxUses?: number } = {}
+  ): Promise<ChatInvite> {
+    const data = await this.request('POST', `/chats/${chatId}/invites`, options);
+    return data.invite;
+  }
+
+  async getChatInvites(chatId: string): Promise<ChatInvite[]> {
+    const data = await this.request('GET', `/chats/${chatId}/invites`);
+    return data.invites;
+  }
+
+  async revokeChatInvite(chatId: string, inviteId: string): Promise<void> {
+    await this.request('DELETE', `/chats/${chatId}/invites/${inviteId}`);
+  }
+
+  async previewInvite(code: string): Promise<InvitePreview> {
+    return this.request('GET', `/invites/${encodeURIComponent(code)}`);
+  }
+
+  async joinInvite(code: string): Promise<{ chatId: string }> {
+    const data = await this.request('POST', `/invites/${encodeURIComponent(code)}/join`);
+    return { chatId: data.chat._id };
+  }
+
+  // Account
+  async deleteAccount(password?: string): Promise<{ deletionScheduledFor: string }> {
+    return this.request('DELETE', '/users/me', password ? { password } : {});
+  }
+}
+
+// Export singleton instance
+export const apiService = new ApiService();
+export default apiService;
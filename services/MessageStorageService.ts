@@ -128,6 +128,18 @@ class MessageStorageService {
     }
   }
 
+  // Update a chat's stored messages in one pass; `update` returns each
+  // message as it should be stored
+  async updateMessagesWith(chatId: string, update: (message: Message) => Message): Promise<void> {
+    try {
+      const messages = await this.loadMessages(chatId);
+      await this.saveMessages(chatId, messages.map(update));
+    } catch (error) {
+      console.error('Error updating messages:', error);
+      throw error;
+    }
+  }
+
   async deleteMessages(chatId: string): Promise<void> {
     try {
       const allMessages = await this.loadAllMessages();
@@ -139,6 +151,41 @@ class MessageStorageService {
     }
   }
 
+  async removeMessages(chatId: string, messageIds: string[]): Promise<void> {
+    try {
+      const messages = await this.loadMessages(chatId);
+      await this.saveMessages(chatId, messages.filter(msg => !messageIds.includes(msg.id)));
+    } catch (error) {
+      console.error('Error removing messages:', error);
+      throw error;
+    }
+  }
+
+  // Delete disappearing messages whose timer has run out, including ones
+  // that expired while the app was closed. Returns the removed IDs by chat.
+  async purgeExpiredMessages(now: Date = new Date()): Promise<{ [chatId: string]: string[] }> {
+    try {
+      const allMessages = await this.loadAllMessages();
+      const purged: { [chatId: string]: string[] } = {};
+
+      Object.keys(allMessages).forEach(chatId => {
+        const expired = allMessages[chatId].filter(msg => msg.expiresAt && new Date(msg.expiresAt) <= now);
+        if (expired.length > 0) {
+          purged[chatId] = expired.map(msg => msg.id);
+          allMessages[chatId] = allMessages[chatId].filter(msg => !expired.includes(msg));
+        }
+      });
+
+      if (Object.keys(purged).length > 0) {
+        await AsyncStorage.setItem(this.MESSAGES_KEY, JSON.stringify(allMessages));
+      }
+      return purged;
+    } catch (error) {
+      console.error('Error purging expired messages:', error);
+      return {};
+    }
+  }
+
   async markMessagesAsRead(chatId: string, messageIds: string[]): Promise<void> {
     try {
       const messages = await this.loadMessages(chatId);
@@ -213,7 +260,7 @@ class MessageStorageService {
       
       Object.values(allMessages).forEach(messages => {
         const matchingMessages = messages.filter(msg =>
-          msg.text.toLowerCase().includes(query.toLowerCase())
+          (msg.text ?? msg.content).toLowerCase().includes(query.toLowerCase())
         );
         results.push(...matchingMessages);
       });
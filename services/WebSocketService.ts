@@ -2,10 +2,32 @@ import { Message } from '@/contexts/MessagingContext';
 import { Socket } from 'socket.io-client';
 
 export interface WebSocketMessage {
-  type: 'message' | 'typing' | 'read_receipt' | 'user_online' | 'user_offline';
+  type: 'message' | 'message_edited' | 'message_deleted' | 'message_status' | 'messages_expired' | 'messages_hidden' | 'chat_cleared' | 'thread_update' | 'pin_update' | 'scheduled_update' | 'reaction' | 'mention' | 'star_update' | 'typing' | 'read_receipt' | 'user_online' | 'user_offline';
   data: any;
 }
 
+// Server acknowledgement for a sent message
+export interface SendMessageAck {
+  messageId: string;
+  clientMessageId?: string;
+  createdAt: string;
+  duplicate: boolean;
+}
+
+// A send the server rejected, or that timed out before it was acknowledged.
+// Timed-out sends are safe to retry with the same client message ID.
+export class SendMessageError extends Error {
+  code: string;
+
+  constructor(code: string, message: string) {
+    super(message);
+    this.name = 'SendMessageError';
+    this.code = code;
+  }
+}
+
+const SEND_ACK_TIMEOUT_MS = 10000;
+
 export interface WebSocketServiceConfig {
   url: string;
   authToken?: string;
@@ -31,6 +53,17 @@ class WebSocketService {
     this.config = config;
   }
 
+  // Use a new access token, e.g. after a refresh. The server checks it when
+  // the socket next connects or reconnects.
+  setAuthToken(token: string) {
+    if (this.config) {
+      this.config = { ...this.config, authToken: token };
+    }
+    if (this.socket) {
+      this.socket.auth = { token };
+    }
+  }
+
   // Connect to WebSocket server
   async connect(): Promise<void> {
     if (!this.config) {
@@ -56,6 +89,43 @@ class WebSocketService {
       });
       this.socket.on('new-message', (data: any) => {
         this.notifyMessageHandlers({ type: 'message', data: data.message });
+        // Confirm delivery to this device (the server ignores our own messages)
+        this.socket?.emit('message-delivered', { chatId: data.chatId, messageIds: [data.message.id] });
+      });
+      this.socket.on('message-edited', (data: any) => {
+        this.notifyMessageHandlers({ type: 'message_edited', data });
+      });
+      this.socket.on('message-deleted', (data: any) => {
+        this.notifyMessageHandlers({ type: 'message_deleted', data });
+      });
+      this.socket.on('message-status', (data: any) => {
+        this.notifyMessageHandlers({ type: 'message_status', data });
+      });
+      this.socket.on('messages-expired', (data: any) => {
+        this.notifyMessageHandlers({ type: 'messages_expired', data });
+      });
+      // Deleted for us alone or cleared, possibly from our other devices
+      this.socket.on('messages-hidden', (data: any) => {
+        this.notifyMessageHandlers({ type: 'messages_hidden', data });
+      });
+      this.socket.on('chat-cleared', (data: any) => {
+        this.notifyMessageHandlers({ type: 'chat_cleared', data });
+      });
+      this.socket.on('thread-updated', (data: any) => {
+        this.notifyMessageHandlers({ type: 'thread_update', data });
+      });
+      this.socket.on('message-pinned', (data: any) => {
+        this.notifyMessageHandlers({ type: 'pin_update', data: { ...data, isPinned: true } });
+      });
+      this.socket.on('message-unpinned', (data: any) => {
+        this.notifyMessageHandlers({ type: 'pin_update', data: { ...data, isPinned: false } });
+      });
+      // A scheduled message left the queue; the message itself arrives as new-message
+      this.socket.on('scheduled-message-sent', (data: any) => {
+        this.notifyMessageHandlers({ type: 'scheduled_update', data });
+      });
+      this.socket.on('scheduled-message-failed', (data: any) => {
+        this.notifyMessageHandlers({ type: 'scheduled_update', data });
       });
       this.socket.on('user-typing', (data: any) => {
         this.notifyMessageHandlers({ type: 'typing', data });
@@ -63,6 +133,17 @@ class WebSocketService {
       this.socket.on('message-reaction', (data: any) => {
         this.notifyMessageHandlers({ type: 'reaction', data });
       });
+      // Stars made on our other devices
+      this.socket.on('message-starred', (data: any) => {
+        this.notifyMessageHandlers({ type: 'star_update', data: { ...data, isStarred: true } });
+      });
+      this.socket.on('message-unstarred', (data: any) => {
+        this.notifyMessageHandlers({ type: 'star_update', data: { ...data, isStarred: false } });
+      });
+      // Sent to us alone when a group message @mentions us
+      this.socket.on('mention', (data: any) => {
+        this.notifyMessageHandlers({ type: 'mention', data });
+      });
       // Add more event listeners as needed
     } catch (error) {
       console.error('Failed to connect to WebSocket server:', error);
@@ -80,8 +161,8 @@ class WebSocketService {
     }
   }
 
-  // Send a message
-  sendMessage(message: Message): Promise<void> {
+  // Send a message. Resolves once the server has stored it.
+  sendMessage(message: Message): Promise<SendMessageAck> {
     return new Promise((resolve, reject) => {
       if (!this.socket) {
         reject(new Error('Not connected to WebSocket server'));
@@ -91,17 +172,28 @@ class WebSocketService {
       if (message.chatId) {
         this.socket.emit('join-chat', message.chatId);
       }
-      this.socket.emit('send-message', {
+      this.socket.timeout(SEND_ACK_TIMEOUT_MS).emit('send-message', {
         chatId: message.chatId,
         content: message.content,
         messageType: message.messageType || 'text',
         replyTo: message.replyTo,
         metadata: message.metadata || {},
-      }, (response: any) => {
-        if (response && response.error) {
-          reject(new Error(response.error));
+        clientMessageId: message.clientMessageId,
+      }, (err: Error | null, response: any) => {
+        if (err) {
+          reject(new SendMessageError('timeout', 'Timed out waiting for the server'));
+        } else if (!response?.ok) {
+          reject(new SendMessageError(
+            response?.error?.code || 'message/internal',
+            response?.error?.message || 'Failed to send message'
+          ));
         } else {
-          resolve();
+          resolve({
+            messageId: response.messageId,
+            clientMessageId: response.clientMessageId,
+            createdAt: response.createdAt,
+            duplicate: response.duplicate,
+          });
         }
       });
     });